@@ -4,5 +4,6 @@
 # $2 = goodreads_id
 # $3 = path
 # $4 = email (optional)
+# $5 = shelves, comma-separated (optional, default: to-read)
 
-docker exec -it book-sync node src/add-user.js "$1" "$2" "$3" "$4"
\ No newline at end of file
+docker exec -it book-sync node src/add-user.js "$1" "$2" "$3" "$4" "$5"
\ No newline at end of file
@@ -0,0 +1,7 @@
+#!/bin/bash
+
+# Usage: ./attempts.sh <book_id>
+#        ./attempts.sh "<title words>"
+#        ./attempts.sh --summary
+
+docker exec -it book-sync node db/attempts.js "$@"
@@ -2,30 +2,41 @@ import Database from 'better-sqlite3';
 
 const DB_PATH = process.env.DB_PATH || '/app/data/books.db';
 
-const [name, goodreadsId, downloadPath, email] = process.argv.slice(2);
+const [name, goodreadsId, downloadPath, email, shelvesArg] = process.argv.slice(2);
 
 if (!name || !goodreadsId || !downloadPath) {
   console.error('❌ Error: Missing arguments.');
-  console.log('\nUsage: node db/add-user.js "<Name>" "<Goodreads_ID>" "<Download_Path>" ["<Email>"]');
-  console.log('Example: node db/add-user.js "Alice" "104614681" "/downloads/Alice" "alice@example.com"');
+  console.log('\nUsage: node db/add-user.js "<Name>" "<Goodreads_ID>" "<Download_Path>" ["<Email>"] ["<Shelves>"]');
+  console.log(
+    'Example: node db/add-user.js "Alice" "104614681" "/downloads/Alice" "alice@example.com" "to-read,kindle"',
+  );
   process.exit(1);
 }
 
+// Comma-separated list of Goodreads shelves to sync (defaults to "to-read")
+const shelves =
+  (shelvesArg || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .join(',') || 'to-read';
+
 try {
   const db = new Database(DB_PATH);
 
   const insert = db.prepare(`
-    INSERT INTO users (name, goodreads_id, download_path, email)
-    VALUES (?, ?, ?, ?)
+    INSERT INTO users (name, goodreads_id, download_path, email, shelves)
+    VALUES (?, ?, ?, ?, ?)
   `);
 
-  const info = insert.run(name, goodreadsId, downloadPath, email || null);
+  const info = insert.run(name, goodreadsId, downloadPath, email || null, shelves);
 
   console.log(`✅ Success! User added to database.`);
   console.log(`👤 Name: ${name}`);
   console.log(`🔗 Goodreads ID:  ${goodreadsId}`);
   console.log(`📂 Path: ${downloadPath}`);
   console.log(`📧 Email: ${email || '(none)'}`);
+  console.log(`📚 Shelves: ${shelves}`);
   console.log(`🆔 ID:   ${info.lastInsertRowid}`);
 
   db.close();
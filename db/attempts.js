@@ -0,0 +1,103 @@
+import Database from 'better-sqlite3';
+
+const DB_PATH = process.env.DB_PATH || '/app/data/books.db';
+
+const [bookArg, ...rest] = process.argv.slice(2);
+
+function usage() {
+  console.log('\nUsage:');
+  console.log('  node db/attempts.js <Book_ID>                   Attempt history of a book');
+  console.log('  node db/attempts.js "<title words>"             Find books by title and show their history');
+  console.log('  node db/attempts.js --summary                   Failures per error class (last 7 days)');
+  console.log('\nExamples:');
+  console.log('  node db/attempts.js 42');
+  console.log('  node db/attempts.js "left hand of darkness"');
+}
+
+const OUTCOME_ICONS = { downloaded: '✅', needs_review: '🧐', failed: '❌' };
+
+function printAttempt(a, i) {
+  const seconds = (a.duration_ms / 1000).toFixed(1);
+  const head = `${OUTCOME_ICONS[a.outcome] || '•'} #${i + 1} ${a.attempted_at} (${seconds}s) ${a.outcome}${a.error_class ? ` [${a.error_class}]` : ''}`;
+  console.log(`   ${head}`);
+  if (a.search_term) console.log(`      Search:    "${a.search_term}"`);
+  if (a.domain) console.log(`      Source:    ${a.domain}`);
+  const candidates = JSON.parse(a.candidates || '[]');
+  if (candidates.length > 0) {
+    console.log(
+      `      Seen:      ${candidates.length} candidate(s), best: "${candidates[0].title}" by ${candidates[0].author || '?'} (score: ${(candidates[0].score * 100).toFixed(0)}%)`,
+    );
+  }
+  if (a.chosen_id) console.log(`      Chosen:    ${a.chosen_provider}, id: ${a.chosen_id}`);
+  if (a.error_message) console.log(`      Error:     ${a.error_message.replace(/\s+/g, ' ').substring(0, 300)}`);
+}
+
+if (!bookArg) {
+  console.error('❌ Error: Missing book ID or title.');
+  usage();
+  process.exit(1);
+}
+
+try {
+  const db = new Database(DB_PATH);
+
+  if (bookArg === '--summary') {
+    const rows = db
+      .prepare(
+        `
+      SELECT error_class, COUNT(*) as cnt, COUNT(DISTINCT book_id) as books, MAX(attempted_at) as latest
+      FROM book_attempts
+      WHERE outcome = 'failed' AND attempted_at >= datetime('now', '-7 days')
+      GROUP BY error_class
+      ORDER BY cnt DESC
+    `,
+      )
+      .all();
+
+    if (rows.length === 0) {
+      console.log('No failed attempts in the last 7 days.');
+    } else {
+      console.log('Failed attempts in the last 7 days:\n');
+      for (const row of rows) {
+        console.log(
+          `   ${(row.error_class || 'other').padEnd(18)} ${String(row.cnt).padStart(4)} attempt(s), ${row.books} book(s), latest ${row.latest}`,
+        );
+      }
+    }
+    db.close();
+    process.exit(0);
+  }
+
+  const books =
+    /^\d+$/.test(bookArg) && rest.length === 0
+      ? db.prepare('SELECT * FROM books WHERE id = ?').all(bookArg)
+      : db
+          .prepare('SELECT * FROM books WHERE title LIKE ? ORDER BY title LIMIT 10')
+          .all(`%${[bookArg, ...rest].join(' ')}%`);
+
+  if (books.length === 0) {
+    console.error(`❌ Error: No book found matching "${[bookArg, ...rest].join(' ')}".`);
+    process.exit(1);
+  }
+
+  const getAttempts = db.prepare('SELECT * FROM book_attempts WHERE book_id = ? ORDER BY id');
+  for (const book of books) {
+    console.log(
+      `📖 [${book.id}] "${book.title}" by ${book.author || '?'} (status: ${book.status}, attempts: ${book.attempts})`,
+    );
+    if (book.next_attempt_at) {
+      console.log(`   Next attempt: ${book.next_attempt_at}${book.status === 'failed' ? ' (re-search)' : ''}`);
+    }
+    const attempts = getAttempts.all(book.id);
+    if (attempts.length === 0) {
+      console.log('   No attempts recorded.');
+    }
+    attempts.forEach(printAttempt);
+    console.log('');
+  }
+
+  db.close();
+} catch (err) {
+  console.error('❌ Database error:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,78 @@
+import Database from 'better-sqlite3';
+import { existsSync, readdirSync, rmdirSync, statSync, unlinkSync } from 'fs';
+import { join } from 'path';
+
+const DB_PATH = process.env.DB_PATH || '/app/data/books.db';
+const STORE_PATH = process.env.STORE_PATH || '/downloads/.store';
+
+const dryRun = process.argv.includes('--dry-run');
+
+if (!existsSync(STORE_PATH)) {
+  console.log(`No store at ${STORE_PATH} - nothing to clean up.`);
+  process.exit(0);
+}
+
+try {
+  const db = new Database(DB_PATH);
+
+  // A store entry is still in use while a book pointing at it has a delivered copy
+  // or an active link (a user who is still owed the book)
+  const referenced = new Set(
+    db
+      .prepare(
+        `
+    SELECT DISTINCT books.store_path FROM books
+    JOIN user_books ON books.id = user_books.book_id
+    WHERE books.store_path IS NOT NULL
+    AND (user_books.delivered_path IS NOT NULL OR user_books.removed_at IS NULL)
+  `,
+      )
+      .all()
+      .map((row) => row.store_path),
+  );
+
+  const clearStorePath = db.prepare('UPDATE books SET store_path = NULL WHERE store_path = ?');
+
+  let kept = 0;
+  let removed = 0;
+  let freedBytes = 0;
+
+  for (const dir of readdirSync(STORE_PATH)) {
+    const dirPath = join(STORE_PATH, dir);
+    if (!statSync(dirPath).isDirectory()) continue;
+
+    for (const file of readdirSync(dirPath)) {
+      const filePath = join(dirPath, file);
+      const stat = statSync(filePath);
+
+      // Still hardlinked from a user folder (nlink > 1): deleting it would free nothing
+      if (referenced.has(filePath) || stat.nlink > 1) {
+        kept++;
+        continue;
+      }
+
+      console.log(
+        `🗑️  ${dryRun ? 'Would delete' : 'Deleting'}: ${filePath} (${(stat.size / 1024 / 1024).toFixed(1)} MB)`,
+      );
+      if (!dryRun) {
+        unlinkSync(filePath);
+        clearStorePath.run(filePath);
+      }
+      removed++;
+      freedBytes += stat.size;
+    }
+
+    if (!dryRun && readdirSync(dirPath).length === 0) {
+      rmdirSync(dirPath);
+    }
+  }
+
+  console.log(
+    `\n✅ ${dryRun ? 'Dry run: ' : ''}${removed} unreferenced store entry(ies) ${dryRun ? 'to delete' : 'deleted'} (${(freedBytes / 1024 / 1024).toFixed(1)} MB), ${kept} kept.`,
+  );
+
+  db.close();
+} catch (err) {
+  console.error('❌ Database error:', err.message);
+  process.exit(1);
+}
@@ -20,6 +20,20 @@ try {
     console.log(`🔗 Goodreads ID:  ${user.goodreads_id}`);
     console.log(`📂 Path:          ${user.download_path}`);
     console.log(`📧 Email:         ${user.email || '(none)'}`);
+    console.log(`📚 Shelves:       ${user.shelves || 'to-read'}`);
+    console.log(`🧹 On removal:    ${user.removal_policy || 'keep'}`);
+    console.log(`📘 Formats:       ${user.formats || '(default)'}`);
+    console.log(`🌍 Languages:     ${user.languages || '(default)'}`);
+    console.log(`📛 Naming:        ${user.naming_template || '(default)'}`);
+    console.log(`📡 OPDS token:    ${user.opds_token || '(none)'}`);
+    console.log(`📦 Output:        ${user.output_format || 'epub'}`);
+    console.log(
+      `📱 E-reader:      ${user.device_email ? `${user.device_email} (${user.device_formats || 'default formats'})` : '(none)'}`,
+    );
+    console.log(`🔔 Notify:        ${user.notify_channels || 'email'}`);
+    console.log(
+      `📊 Quotas:        ${user.daily_quota ?? 'default'}/day, ${user.weekly_quota ?? 'unlimited'}/week, ${user.monthly_quota ?? 'unlimited'}/month`,
+    );
     console.log(`🆔 ID:            ${user.id}`);
     console.log('');
   }
@@ -0,0 +1,108 @@
+import Database from 'better-sqlite3';
+
+const DB_PATH = process.env.DB_PATH || '/app/data/books.db';
+
+const [command, goodreadsId, bookIdArg, priorityArg] = process.argv.slice(2);
+
+function usage() {
+  console.log('\nUsage:');
+  console.log(
+    "  node db/priority.js list <Goodreads_ID>                        A user's queue, in the order they get books",
+  );
+  console.log(
+    '  node db/priority.js set <Goodreads_ID> <Book_ID> <Priority>    Higher goes first (default 0, negative = later)',
+  );
+  console.log('\nExamples:');
+  console.log('  node db/priority.js list "104614681"');
+  console.log('  node db/priority.js set "104614681" 42 10');
+  console.log('  node db/priority.js set "104614681" 42 0      # back to normal');
+}
+
+if (!['list', 'set'].includes(command) || !goodreadsId) {
+  console.error('❌ Error: Missing or unknown command.');
+  usage();
+  process.exit(1);
+}
+
+try {
+  const db = new Database(DB_PATH);
+
+  const user = db.prepare('SELECT * FROM users WHERE goodreads_id = ?').get(goodreadsId);
+  if (!user) {
+    console.error(`❌ Error: No user found with Goodreads ID "${goodreadsId}".`);
+    process.exit(1);
+  }
+
+  if (command === 'set') {
+    const priority = Number(priorityArg);
+    if (!Number.isInteger(priority)) {
+      console.error(`❌ Error: Priority must be a whole number, got "${priorityArg}".`);
+      process.exit(1);
+    }
+
+    const link = db
+      .prepare(
+        `
+      SELECT books.title FROM user_books JOIN books ON books.id = user_books.book_id
+      WHERE user_books.user_id = ? AND user_books.book_id = ?
+    `,
+      )
+      .get(user.id, bookIdArg);
+    if (!link) {
+      console.error(
+        `❌ Error: ${user.name} has no book with ID "${bookIdArg}" (see: node db/priority.js list "${goodreadsId}").`,
+      );
+      process.exit(1);
+    }
+
+    db.prepare('UPDATE user_books SET priority = ? WHERE user_id = ? AND book_id = ?').run(
+      priority,
+      user.id,
+      bookIdArg,
+    );
+    console.log(`✅ Priority of "${link.title}" for ${user.name} set to ${priority}.`);
+    db.close();
+    process.exit(0);
+  }
+
+  // Same order as the round-robin queue policy uses within a user's turn
+  const books = db
+    .prepare(
+      `
+    SELECT books.id, books.title, books.author, books.status, books.attempts, books.next_attempt_at, user_books.shelf, user_books.priority, user_books.added_at
+    FROM books
+    JOIN user_books ON books.id = user_books.book_id
+    WHERE user_books.user_id = ? AND user_books.removed_at IS NULL AND user_books.delivered_at IS NULL
+    AND books.status IN ('pending', 'failed', 'needs_review')
+    ORDER BY books.status = 'needs_review', books.status = 'failed', user_books.priority DESC,
+      instr(',' || REPLACE(COALESCE(?, 'to-read'), ' ', '') || ',', ',' || user_books.shelf || ','),
+      user_books.added_at ASC, books.attempts ASC, books.id ASC
+  `,
+    )
+    .all(user.id, user.shelves);
+
+  if (books.length === 0) {
+    console.log(`Nothing queued for ${user.name}.`);
+    db.close();
+    process.exit(0);
+  }
+
+  console.log(`${books.length} book(s) queued for ${user.name}:\n`);
+  books.forEach((b, i) => {
+    const notes = [
+      `shelf: ${b.shelf}`,
+      `priority ${b.priority || 0}`,
+      b.added_at && `added ${b.added_at.substring(0, 10)}`,
+    ];
+    if (b.status !== 'pending') notes.push(b.status);
+    if (b.next_attempt_at) notes.push(`next try ${b.next_attempt_at}`);
+    console.log(
+      `${String(i + 1).padStart(4)}. [${b.id}] "${b.title}" by ${b.author || '?'} (${notes.filter(Boolean).join(', ')})`,
+    );
+  });
+
+  db.close();
+} catch (err) {
+  console.error('❌ Database error:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,73 @@
+import Database from 'better-sqlite3';
+
+const DB_PATH = process.env.DB_PATH || '/app/data/books.db';
+
+// Keep in sync with src/config.js
+const MAX_DOWNLOADS_PER_USER_PER_DAY = parseInt(process.env.MAX_DOWNLOADS_PER_USER_PER_DAY || '10', 10);
+
+const goodreadsId = process.argv[2];
+
+if (goodreadsId === '--help') {
+  console.log('\nUsage: node db/quota.js [Goodreads_ID]');
+  console.log('\nShows how many books each user (or just the given user) has received today,');
+  console.log('this week and this month, and how many they have left.');
+  process.exit(0);
+}
+
+function toSqlTime(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Same windows as getQuotaWindows() in src/quota.js: local (TZ) midnight, Monday, 1st of the month
+const now = new Date();
+const windows = {
+  daily: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+  weekly: new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7)),
+  monthly: new Date(now.getFullYear(), now.getMonth(), 1),
+};
+const LABELS = { daily: 'Today:     ', weekly: 'This week: ', monthly: 'This month:' };
+
+try {
+  const db = new Database(DB_PATH);
+
+  const users = goodreadsId
+    ? db.prepare('SELECT * FROM users WHERE goodreads_id = ?').all(goodreadsId)
+    : db.prepare('SELECT * FROM users ORDER BY name').all();
+
+  if (users.length === 0) {
+    console.error(goodreadsId ? `❌ Error: No user found with Goodreads ID "${goodreadsId}".` : 'No users found.');
+    db.close();
+    process.exit(goodreadsId ? 1 : 0);
+  }
+
+  const countSince = db.prepare(
+    'SELECT COUNT(*) as cnt FROM user_books WHERE user_id = ? AND delivered_at >= ? AND owned_copy = 0',
+  );
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  console.log(`Quotas (days start at midnight ${timeZone}, weeks on Monday):\n`);
+
+  for (const user of users) {
+    const limits = {
+      daily: user.daily_quota ?? MAX_DOWNLOADS_PER_USER_PER_DAY,
+      weekly: user.weekly_quota ?? null,
+      monthly: user.monthly_quota ?? null,
+    };
+
+    console.log(`👤 ${user.name} (${user.goodreads_id})`);
+    for (const period of ['daily', 'weekly', 'monthly']) {
+      const used = countSince.get(user.id, toSqlTime(windows[period])).cnt;
+      const limit = limits[period];
+      const left = limit === null ? 'no limit' : `${Math.max(limit - used, 0)} left`;
+      console.log(
+        `   ${LABELS[period]} ${used}/${limit ?? '∞'}  (${left})${limit !== null && used >= limit ? ' 🛑' : ''}`,
+      );
+    }
+    console.log('');
+  }
+
+  db.close();
+} catch (err) {
+  console.error('❌ Database error:', err.message);
+  process.exit(1);
+}
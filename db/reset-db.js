@@ -6,7 +6,7 @@ const validFlags = ['--confirm', '--all'];
 
 if (!validFlags.includes(flag)) {
   console.log('⚠️  This will delete all books, user-book links, and download history.');
-  console.log('   Users are kept by default so you don\'t have to re-add them.');
+  console.log("   Users are kept by default so you don't have to re-add them.");
   console.log('   On the next sync cycle, all "to-read" books will be re-queued as pending.\n');
   console.log('Usage:');
   console.log('  node db/reset-db.js --confirm        Reset books only (keep users)');
@@ -22,9 +22,15 @@ try {
   const bookCount = db.prepare('SELECT COUNT(*) as cnt FROM books').get().cnt;
   const userCount = db.prepare('SELECT COUNT(*) as cnt FROM users').get().cnt;
 
+  // History tables that hang off books (created by the service, so older databases may not have them yet)
+  for (const table of ['book_attempts', 'notifications']) {
+    if (db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table)) {
+      db.exec(`DELETE FROM ${table}`);
+    }
+  }
   db.exec('DELETE FROM user_books');
   db.exec('DELETE FROM books');
-  console.log(`🗑️  Deleted ${bookCount} book(s) and all user-book links.`);
+  console.log(`🗑️  Deleted ${bookCount} book(s), all user-book links, attempt history and queued notifications.`);
 
   if (resetUsers) {
     db.exec('DELETE FROM users');
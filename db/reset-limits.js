@@ -2,15 +2,39 @@ import Database from 'better-sqlite3';
 
 const DB_PATH = process.env.DB_PATH || '/app/data/books.db';
 
+function toSqlTime(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
 try {
   const db = new Database(DB_PATH);
 
-  const result = db.prepare(`
-    UPDATE books SET downloaded_at = date('now', '-1 day')
-    WHERE status = 'downloaded' AND date(downloaded_at) = date('now')
-  `).run();
+  // "Today" starts at local (TZ) midnight, as in src/quota.js; move today's records to just before it
+  const now = new Date();
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const today = toSqlTime(midnight);
+  const yesterday = toSqlTime(new Date(midnight.getTime() - 1000));
+
+  const result = db
+    .prepare(
+      `
+    UPDATE books SET downloaded_at = ?
+    WHERE status = 'downloaded' AND downloaded_at >= ?
+  `,
+    )
+    .run(yesterday, today);
+
+  // Per-user quotas count deliveries, which live on user_books
+  db.prepare(
+    `
+    UPDATE user_books SET delivered_at = ?
+    WHERE delivered_at >= ?
+  `,
+  ).run(yesterday, today);
 
-  console.log(`✅ Reset ${result.changes} download timestamp(s) to yesterday. Limits are now clear.`);
+  console.log(
+    `✅ Reset ${result.changes} download timestamp(s) to yesterday. Daily limits are now clear (weekly and monthly quotas still count them).`,
+  );
 
   db.close();
 } catch (err) {
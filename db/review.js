@@ -0,0 +1,142 @@
+import Database from 'better-sqlite3';
+
+const DB_PATH = process.env.DB_PATH || '/app/data/books.db';
+
+const [command, bookIdArg, candidateArg] = process.argv.slice(2);
+
+function usage() {
+  console.log('\nUsage:');
+  console.log('  node db/review.js list                              List books awaiting review');
+  console.log('  node db/review.js approve <Book_ID> <Candidate#>    Download this candidate on the next cycle');
+  console.log('  node db/review.js reject <Book_ID> [Candidate#]     Reject one candidate, or all of them');
+  console.log('\nExamples:');
+  console.log('  node db/review.js approve 42 2');
+  console.log('  node db/review.js reject 42 1');
+  console.log('  node db/review.js reject 42          # none are right, mark the book failed');
+}
+
+// Candidates stored before providers existed only have an md5 (Anna's Archive)
+function candidateId(c) {
+  return c.id || c.md5;
+}
+
+function printCandidates(candidates) {
+  candidates.forEach((c, i) => {
+    const source = [c.provider || 'annas-archive', c.format].filter(Boolean).join(', ');
+    console.log(
+      `   ${i + 1}. "${c.title}" by ${c.author || '?'} (score: ${(c.score * 100).toFixed(0)}%, ${source}, id: ${candidateId(c)})`,
+    );
+  });
+}
+
+if (!['list', 'approve', 'reject'].includes(command)) {
+  console.error('❌ Error: Missing or unknown command.');
+  usage();
+  process.exit(1);
+}
+
+try {
+  const db = new Database(DB_PATH);
+
+  if (command === 'list') {
+    const books = db.prepare(`SELECT * FROM books WHERE status = 'needs_review' ORDER BY updated_at`).all();
+
+    if (books.length === 0) {
+      console.log('No books awaiting review.');
+      db.close();
+      process.exit(0);
+    }
+
+    console.log(`Found ${books.length} book(s) awaiting review:\n`);
+
+    for (const book of books) {
+      console.log(`📖 [${book.id}] "${book.title}" by ${book.author || '?'}`);
+      printCandidates(JSON.parse(book.match_candidates || '[]'));
+      console.log('');
+    }
+
+    db.close();
+    process.exit(0);
+  }
+
+  const book = db.prepare('SELECT * FROM books WHERE id = ?').get(bookIdArg);
+  if (!book) {
+    console.error(`❌ Error: No book found with ID "${bookIdArg}".`);
+    process.exit(1);
+  }
+  if (book.status !== 'needs_review') {
+    console.error(`❌ Error: "${book.title}" is not awaiting review (status: ${book.status}).`);
+    process.exit(1);
+  }
+
+  const candidates = JSON.parse(book.match_candidates || '[]');
+  const rejected = JSON.parse(book.rejected_md5s || '[]');
+
+  let candidate = null;
+  if (candidateArg !== undefined) {
+    candidate = candidates[parseInt(candidateArg, 10) - 1];
+    if (!candidate) {
+      console.error(`❌ Error: "${book.title}" has no candidate #${candidateArg}. Candidates:`);
+      printCandidates(candidates);
+      process.exit(1);
+    }
+  }
+
+  if (command === 'approve') {
+    if (!candidate) {
+      console.error('❌ Error: Missing candidate number to approve.');
+      usage();
+      process.exit(1);
+    }
+
+    // Back to pending with a fresh set of attempts; the queue fetches the approved candidate without searching
+    const approved = { ...candidate, provider: candidate.provider || 'annas-archive', id: candidateId(candidate) };
+    db.prepare(
+      `
+      UPDATE books SET status = 'pending', approved_candidate = ?, approved_md5 = NULL, attempts = 0, next_attempt_at = NULL, transient_failures = 0, match_score = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+    ).run(JSON.stringify(approved), candidate.score, book.id);
+
+    console.log(`✅ Approved "${candidate.title}" by ${candidate.author || '?'} for "${book.title}".`);
+    console.log('   It will be downloaded on the next sync cycle.');
+  } else if (candidate) {
+    const remaining = candidates.filter((c) => candidateId(c) !== candidateId(candidate));
+    rejected.push(candidateId(candidate));
+
+    db.prepare(
+      `
+      UPDATE books SET status = ?, match_candidates = ?, rejected_md5s = ?, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+    ).run(
+      remaining.length > 0 ? 'needs_review' : 'failed',
+      JSON.stringify(remaining),
+      JSON.stringify(rejected),
+      book.id,
+    );
+
+    console.log(`🚫 Rejected "${candidate.title}" by ${candidate.author || '?'} for "${book.title}".`);
+    if (remaining.length > 0) {
+      console.log(`   ${remaining.length} candidate(s) left to review.`);
+    } else {
+      console.log('   No candidates left - book marked as failed.');
+    }
+  } else {
+    rejected.push(...candidates.map(candidateId));
+
+    db.prepare(
+      `
+      UPDATE books SET status = 'failed', match_candidates = '[]', rejected_md5s = ?, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+    ).run(JSON.stringify(rejected), book.id);
+
+    console.log(`🚫 Rejected all ${candidates.length} candidate(s) for "${book.title}" - book marked as failed.`);
+  }
+
+  db.close();
+} catch (err) {
+  console.error('❌ Database error:', err.message);
+  process.exit(1);
+}
@@ -1,7 +1,16 @@
 import Database from 'better-sqlite3';
+import { randomBytes } from 'crypto';
 
 const DB_PATH = process.env.DB_PATH || '/app/data/books.db';
 
+// Keep in sync with src/notifiers/index.js
+const NOTIFY_CHANNEL_TYPES = ['email', 'webhook', 'ntfy', 'gotify', 'discord', 'slack'];
+
+function formatQuotas(user) {
+  const daily = user.daily_quota ?? 'default';
+  return `${daily}/day, ${user.weekly_quota ?? 'unlimited'}/week, ${user.monthly_quota ?? 'unlimited'}/month`;
+}
+
 const args = process.argv.slice(2);
 const goodreadsId = args[0];
 
@@ -12,10 +21,37 @@ if (!goodreadsId) {
   console.log('  --name "<Name>"');
   console.log('  --email "<Email>"');
   console.log('  --path "<Download_Path>"');
+  console.log('  --shelves "<shelf1,shelf2>"');
+  console.log('  --removal-policy keep|archive|delete');
+  console.log('  --formats "<fmt1,fmt2>"      (in order of preference, e.g. "azw3,mobi,epub")');
+  console.log('  --languages "<lang1,lang2>"  (language codes, or "any")');
+  console.log('  --naming-template "<template>"  (e.g. "{author}/{series}/{series_index} - {title}")');
+  console.log('  --opds-token new|""          (generate a new OPDS catalog token, or "" to revoke access)');
+  console.log('  --device-email "<Email>"     (send-to-e-reader address, e.g. name@kindle.com)');
+  console.log('  --device-formats "<fmt1,fmt2>"  (formats the e-reader accepts, e.g. "epub,pdf")');
+  console.log('  --output epub|kepub          (kepub: convert EPUBs to Kobo KEPUB)');
+  console.log(
+    '  --notify "<channel1,channel2>"  (email, webhook:<url>, ntfy:<topic url>, gotify:<url>, discord:<url>, slack:<url>)',
+  );
+  console.log('  --daily-quota <n>|""         (books per day; "" for MAX_DOWNLOADS_PER_USER_PER_DAY)');
+  console.log('  --weekly-quota <n>|""        (books per week, from Monday; "" for no limit)');
+  console.log('  --monthly-quota <n>|""       (books per calendar month; "" for no limit)');
   console.log('\nExamples:');
   console.log('  node db/update-user.js "104614681" --email "alice@example.com"');
   console.log('  node db/update-user.js "104614681" --name "Alice B" --email "alice@example.com"');
   console.log('  node db/update-user.js "104614681" --email ""   # clear email');
+  console.log('  node db/update-user.js "104614681" --shelves "to-read,kindle"');
+  console.log('  node db/update-user.js "104614681" --removal-policy archive');
+  console.log('  node db/update-user.js "104614681" --formats "azw3,mobi" --languages "de"');
+  console.log('  node db/update-user.js "104614681" --formats ""   # back to the defaults');
+  console.log('  node db/update-user.js "104614681" --naming-template "{author}/{title}"');
+  console.log('  node db/update-user.js "104614681" --opds-token new');
+  console.log('  node db/update-user.js "104614681" --device-email "alice@kindle.com" --device-formats "epub,pdf"');
+  console.log('  node db/update-user.js "104614681" --output kepub');
+  console.log('  node db/update-user.js "104614681" --notify "email,ntfy:https://ntfy.sh/alice-books"');
+  console.log('  node db/update-user.js "104614681" --notify ""   # back to email only');
+  console.log('  node db/update-user.js "104614681" --daily-quota 3 --monthly-quota 20');
+  console.log('  node db/update-user.js "104614681" --weekly-quota ""   # no weekly limit');
   process.exit(1);
 }
 
@@ -41,6 +77,80 @@ for (let i = 0; i < remaining.length; i += 2) {
     case '--path':
       fields.download_path = value;
       break;
+    case '--shelves':
+      fields.shelves =
+        value
+          .split(',')
+          .map((s) => s.trim())
+          .filter(Boolean)
+          .join(',') || 'to-read';
+      break;
+    case '--removal-policy':
+      if (!['keep', 'archive', 'delete'].includes(value)) {
+        console.error(`❌ Error: Invalid removal policy "${value}". Use keep, archive, or delete.`);
+        process.exit(1);
+      }
+      fields.removal_policy = value;
+      break;
+    case '--output':
+      if (!['epub', 'kepub'].includes(value)) {
+        console.error(`❌ Error: Invalid output format "${value}". Use epub or kepub.`);
+        process.exit(1);
+      }
+      fields.output_format = value === 'epub' ? null : value;
+      break;
+    case '--notify': {
+      const channels = value
+        .split(',')
+        .map((s) => s.trim())
+        .filter(Boolean);
+      const unknown = channels.filter((c) => !NOTIFY_CHANNEL_TYPES.includes(c.split(':')[0].toLowerCase()));
+      if (unknown.length > 0) {
+        console.error(
+          `❌ Error: Unknown notification channel(s): ${unknown.join(', ')}. Use ${NOTIFY_CHANNEL_TYPES.join(', ')}.`,
+        );
+        process.exit(1);
+      }
+      const missingUrl = channels.filter((c) => !c.includes(':') && c.toLowerCase() !== 'email');
+      if (missingUrl.length > 0) {
+        console.error(`❌ Error: Channel(s) need a URL, e.g. "ntfy:https://ntfy.sh/<topic>": ${missingUrl.join(', ')}`);
+        process.exit(1);
+      }
+      fields.notify_channels = channels.join(',') || null;
+      break;
+    }
+    case '--daily-quota':
+    case '--weekly-quota':
+    case '--monthly-quota':
+      if (value !== '' && !/^\d+$/.test(value)) {
+        console.error(`❌ Error: Invalid ${flag} value "${value}". Use a whole number, or "" for the default.`);
+        process.exit(1);
+      }
+      fields[flag.slice(2).replace('-', '_')] = value === '' ? null : parseInt(value, 10);
+      break;
+    case '--device-email':
+      fields.device_email = value || null;
+      break;
+    case '--formats':
+    case '--languages':
+    case '--device-formats':
+      fields[flag.slice(2).replace('-', '_')] =
+        value
+          .split(',')
+          .map((s) => s.trim().toLowerCase().replace(/^\./, ''))
+          .filter(Boolean)
+          .join(',') || null;
+      break;
+    case '--naming-template':
+      fields.naming_template = value.trim() || null;
+      break;
+    case '--opds-token':
+      if (value !== 'new' && value !== '') {
+        console.error(`❌ Error: Invalid --opds-token value "${value}". Use new, or "" to revoke.`);
+        process.exit(1);
+      }
+      fields.opds_token = value === 'new' ? randomBytes(24).toString('base64url') : null;
+      break;
     default:
       console.error(`❌ Error: Unknown flag "${flag}"`);
       process.exit(1);
@@ -48,7 +158,9 @@ for (let i = 0; i < remaining.length; i += 2) {
 }
 
 if (Object.keys(fields).length === 0) {
-  console.error('❌ Error: No fields to update. Use --name, --email, or --path.');
+  console.error(
+    '❌ Error: No fields to update. Use --name, --email, --path, --shelves, --removal-policy, --formats, --languages, --naming-template, --opds-token, --device-email, --device-formats, --output, --notify, --daily-quota, --weekly-quota, or --monthly-quota.',
+  );
   process.exit(1);
 }
 
@@ -79,6 +191,18 @@ try {
   console.log(`🔗 Goodreads ID:  ${updated.goodreads_id}`);
   console.log(`📂 Path:          ${updated.download_path}`);
   console.log(`📧 Email:         ${updated.email || '(none)'}`);
+  console.log(`📚 Shelves:       ${updated.shelves || 'to-read'}`);
+  console.log(`🧹 On removal:    ${updated.removal_policy || 'keep'}`);
+  console.log(`📘 Formats:       ${updated.formats || '(default)'}`);
+  console.log(`🌍 Languages:     ${updated.languages || '(default)'}`);
+  console.log(`📛 Naming:        ${updated.naming_template || '(default)'}`);
+  console.log(`📡 OPDS token:    ${updated.opds_token || '(none)'}`);
+  console.log(`📦 Output:        ${updated.output_format || 'epub'}`);
+  console.log(
+    `📱 E-reader:      ${updated.device_email ? `${updated.device_email} (${updated.device_formats || 'default formats'})` : '(none)'}`,
+  );
+  console.log(`🔔 Notify:        ${updated.notify_channels || 'email'}`);
+  console.log(`📊 Quotas:        ${formatQuotas(updated)}`);
   console.log(`🆔 ID:            ${updated.id}`);
 
   db.close();
@@ -0,0 +1,5 @@
+#!/bin/bash
+
+# Usage: ./gc-store.sh [--dry-run]
+
+docker exec -it book-sync node db/gc-store.js "$@"
@@ -0,0 +1,6 @@
+#!/bin/bash
+
+# Usage: ./priority.sh list <goodreads_id>
+#        ./priority.sh set <goodreads_id> <book_id> <priority>
+
+docker exec -it book-sync node db/priority.js "$@"
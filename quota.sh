@@ -0,0 +1,6 @@
+#!/bin/bash
+
+# Usage: ./quota.sh                  # all users
+#        ./quota.sh <goodreads_id>   # one user
+
+docker exec -it book-sync node db/quota.js "$@"
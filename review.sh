@@ -0,0 +1,7 @@
+#!/bin/bash
+
+# Usage: ./review.sh list
+#        ./review.sh approve <book_id> <candidate#>
+#        ./review.sh reject <book_id> [candidate#]
+
+docker exec -it book-sync node db/review.js "$@"
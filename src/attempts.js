@@ -0,0 +1,99 @@
+import { RETRY_BASE_MINUTES, RETRY_MAX_MINUTES } from './config.js';
+
+/**
+ * Why a download attempt failed, as stored on book_attempts.error_class:
+ *
+ *   not_found          - Every source was searched and nothing matched
+ *   transient_network  - Timeouts, refused/reset connections, 5xx responses, FlareSolverr down
+ *   blocked            - Cloudflare/DDoS protection, 403/429 responses
+ *   config_error       - The setup is incomplete (e.g. AA_API_KEY missing); stops the queue run
+ *   parse_error        - A page or feed didn't have the expected structure
+ *   bad_file           - The download was an error page, truncated, or not the right book
+ *   other              - Anything else (see error_message)
+ */
+export const ERROR_CLASSES = [
+  'not_found',
+  'transient_network',
+  'blocked',
+  'config_error',
+  'parse_error',
+  'bad_file',
+  'other',
+];
+
+// Failures caused by our infrastructure or the sources being unreachable, not by
+// the book: they don't count toward MAX_ATTEMPTS (up to MAX_TRANSIENT_FAILURES per book)
+export const TRANSIENT_ERROR_CLASSES = ['transient_network', 'blocked'];
+
+const NETWORK_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ERR_SOCKET_CONNECTION_TIMEOUT',
+];
+
+/**
+ * An Error tagged with its error class, for failures whose cause is known
+ * where they are thrown.
+ */
+export function attemptError(errorClass, message, cause) {
+  const err = new Error(message, cause ? { cause } : undefined);
+  err.errorClass = errorClass;
+  return err;
+}
+
+/**
+ * The error class of a failed attempt: the one it was tagged with by
+ * attemptError(), otherwise a guess from its code, HTTP status and message.
+ */
+export function classifyError(err) {
+  if (err.errorClass) return err.errorClass;
+
+  const status = err.response?.status;
+  const message = err.message || '';
+
+  if (/AA_API_KEY/.test(message)) return 'config_error';
+  if (status === 403 || status === 429 || /cloudflare|challenge|captcha|ddos-guard/i.test(message)) return 'blocked';
+  if (
+    NETWORK_CODES.includes(err.code) ||
+    status >= 500 ||
+    /timed? ?out|timeout|socket hang up|network/i.test(message)
+  ) {
+    return 'transient_network';
+  }
+  if (/validation failed|too small|not a valid zip|mimetype|error page/i.test(message)) return 'bad_file';
+  if (/structure|parse|unexpected token|no search link|no atom search/i.test(message)) return 'parse_error';
+  return 'other';
+}
+
+/**
+ * The error to report when no search attempt got an answer: tagged with the
+ * most telling class among the failed attempts' errors (blocked, then network
+ * trouble, then unexpected pages).
+ */
+export function searchFailedError(errors) {
+  const classes = errors.map(classifyError);
+  const errorClass = ['blocked', 'transient_network', 'parse_error'].find((c) => classes.includes(c)) || 'other';
+  const first = errors[classes.indexOf(errorClass)] || errors[0];
+  return attemptError(errorClass, `All ${errors.length} search request(s) failed: ${first.message}`, first);
+}
+
+/**
+ * Minutes to wait before trying a book again after its nth failure in a row:
+ * RETRY_BASE_MINUTES, doubling each time, capped at RETRY_MAX_MINUTES.
+ */
+export function retryDelayMinutes(failures) {
+  return Math.min(RETRY_BASE_MINUTES * 2 ** Math.max(failures - 1, 0), RETRY_MAX_MINUTES);
+}
+
+export function formatDelay(minutes) {
+  if (minutes >= 24 * 60) return `${+(minutes / 60 / 24).toFixed(1)} day(s)`;
+  if (minutes >= 60) return `${+(minutes / 60).toFixed(1)}h`;
+  return `${minutes} min`;
+}
@@ -0,0 +1,121 @@
+import { existsSync, readdirSync, writeFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import axios from 'axios';
+
+import { log, logWarn } from './logging.js';
+import { bookExtension, escapeXml, fixOwnership, parseSeries } from './utils.js';
+
+/**
+ * Calibre's author sort: "Iain M. Banks" -> "Banks, Iain M."
+ */
+function authorSort(author) {
+  const parts = author.trim().split(/\s+/);
+  if (parts.length < 2) return author;
+  return `${parts.pop()}, ${parts.join(' ')}`;
+}
+
+/**
+ * Build a Calibre-style metadata.opf (OPF 2.0) for a books row.
+ */
+export function buildCalibreOpf(book, coverFile) {
+  const { title, series, seriesIndex } = parseSeries(book.title || 'Unknown');
+  const lines = [
+    `    <dc:identifier opf:scheme="GOODREADS" id="goodreads_id">${escapeXml(book.goodreads_book_id)}</dc:identifier>`,
+  ];
+  if (book.isbn) lines.push(`    <dc:identifier opf:scheme="ISBN">${escapeXml(book.isbn)}</dc:identifier>`);
+  lines.push(`    <dc:title>${escapeXml(title)}</dc:title>`);
+  if (book.author) {
+    lines.push(
+      `    <dc:creator opf:file-as="${escapeXml(authorSort(book.author))}" opf:role="aut">${escapeXml(book.author)}</dc:creator>`,
+    );
+  }
+  if (/^\d{4}$/.test(book.year || '')) {
+    lines.push(`    <dc:date>${escapeXml(book.year)}-01-01T00:00:00+00:00</dc:date>`);
+  }
+  if (book.description) lines.push(`    <dc:description>${escapeXml(book.description)}</dc:description>`);
+  if (series) {
+    lines.push(`    <meta name="calibre:series" content="${escapeXml(series)}"/>`);
+    lines.push(`    <meta name="calibre:series_index" content="${escapeXml(seriesIndex)}"/>`);
+  }
+
+  const guide = coverFile
+    ? `  <guide>\n    <reference type="cover" title="Cover" href="${escapeXml(coverFile)}"/>\n  </guide>\n`
+    : '';
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="goodreads_id" version="2.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+${lines.join('\n')}
+  </metadata>
+${guide}</package>
+`;
+}
+
+/**
+ * Download a book's Goodreads cover. Goodreads feed URLs point at a
+ * thumbnail ("..._SY475_.jpg"); dropping the size suffix gets the full image.
+ * Returns null (with a warning) when there is no cover or it can't be fetched.
+ */
+export async function fetchCover(book) {
+  if (!book.cover_url || book.cover_url.includes('nophoto')) return null;
+
+  const url = book.cover_url.replace(/\._S[XY]\d+_(?=\.\w+$)/, '');
+  try {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+  } catch (err) {
+    logWarn(`[Calibre] Could not download cover for "${book.title}" from ${url}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Sidecar file paths for a saved book. A book in a folder of its own gets
+ * Calibre's metadata.opf and cover.jpg; a book sharing its folder with others
+ * (e.g. the flat default layout) gets "<book name>.opf" and "<book name>.jpg"
+ * so books don't overwrite each other's sidecars.
+ */
+export function getSidecarPaths(bookPath, ownFolder) {
+  const dir = dirname(bookPath);
+  const base = basename(bookPath, bookExtension(bookPath));
+  return ownFolder
+    ? { opfPath: join(dir, 'metadata.opf'), coverPath: join(dir, 'cover.jpg') }
+    : { opfPath: join(dir, `${base}.opf`), coverPath: join(dir, `${base}.jpg`) };
+}
+
+/**
+ * Existing sidecar files belonging to a saved book (for the removal policy):
+ * "<book name>.opf/.jpg", plus metadata.opf/cover.jpg if the book is the
+ * only other file in its folder.
+ */
+export function findSidecars(bookPath) {
+  const dir = dirname(bookPath);
+  const found = Object.values(getSidecarPaths(bookPath, false)).filter((p) => existsSync(p));
+
+  const others = existsSync(dir)
+    ? readdirSync(dir).filter(
+        (name) => ![basename(bookPath), 'metadata.opf', 'cover.jpg'].includes(name) && !found.includes(join(dir, name)),
+      )
+    : [];
+  if (others.length === 0) {
+    found.push(...Object.values(getSidecarPaths(bookPath, true)).filter((p) => existsSync(p)));
+  }
+  return found;
+}
+
+/**
+ * Write metadata.opf and cover.jpg (see getSidecarPaths) next to a saved book.
+ * `cover` is the image from fetchCover(), or null to write the OPF only.
+ */
+export function writeCalibreSidecars(bookPath, book, cover, ownFolder) {
+  const { opfPath, coverPath } = getSidecarPaths(bookPath, ownFolder);
+
+  if (cover) {
+    writeFileSync(coverPath, cover);
+    fixOwnership(coverPath);
+  }
+  writeFileSync(opfPath, buildCalibreOpf(book, cover ? basename(coverPath) : null));
+  fixOwnership(opfPath);
+
+  log(`📇 [Calibre] Wrote ${basename(opfPath)}${cover ? ` and ${basename(coverPath)}` : ''} for ${bookPath}`);
+}
@@ -10,9 +10,85 @@ export const AA_API_KEY = process.env.AA_API_KEY;
 // FlareSolverr URL
 export const FLARESOLVERR_URL = process.env.FLARE_URL || 'http://flaresolverr:8191/v1';
 
+// RSS pagination safety cap (Goodreads returns a shelf feed one page at a time)
+export const MAX_RSS_PAGES = parseInt(process.env.MAX_RSS_PAGES || '50', 10);
+
+// What to do with already-delivered files when a book leaves a user's shelves (per-user setting)
+export const REMOVAL_POLICIES = ['keep', 'archive', 'delete'];
+
+// Best candidates scoring within this margin of the match threshold (either side) go to manual review (0 disables)
+export const MATCH_REVIEW_MARGIN = parseFloat(process.env.MATCH_REVIEW_MARGIN || '0.08');
+
+// Default search preferences for users without their own (comma-separated, in order of preference)
+export const DEFAULT_FORMATS = (process.env.DEFAULT_FORMATS || 'epub')
+  .split(',')
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+export const DEFAULT_LANGUAGES = (process.env.DEFAULT_LANGUAGES || 'en,fr,nl')
+  .split(',')
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+// Default file layout inside a user's download_path; "/" creates folders (per-user override: users.naming_template)
+// Placeholders: {full_title} {title} {author} {series} {series_index} {year} {isbn}
+export const NAMING_TEMPLATE = process.env.NAMING_TEMPLATE || '{full_title}';
+
+// Storage mode: 'copy' gives every user their own copy; 'hardlink' keeps one copy per file in a
+// content-addressed store (keyed by SHA-256) and hardlinks it into user folders. The store must be
+// on the same filesystem as the download paths for hardlinks to work (otherwise files are copied).
+export const STORAGE_MODES = ['copy', 'hardlink'];
+export const STORAGE_MODE = process.env.STORAGE_MODE || 'copy';
+export const STORE_PATH = process.env.STORE_PATH || '/downloads/.store';
+
+// Write Calibre-style metadata.opf and cover.jpg next to each saved book (for Calibre / Calibre-Web imports)
+export const CALIBRE_SIDECARS = process.env.CALIBRE_SIDECARS === 'true';
+
+// Built-in OPDS catalog server for e-reader apps (disabled unless a port is set)
+export const OPDS_SERVER_PORT = process.env.OPDS_SERVER_PORT ? parseInt(process.env.OPDS_SERVER_PORT, 10) : null;
+
+// Send-to-e-reader: books are emailed to users' device_email when the format is accepted and the file isn't too big
+export const DEVICE_MAX_ATTACHMENT_MB = parseFloat(process.env.DEVICE_MAX_ATTACHMENT_MB || '25');
+export const DEVICE_DEFAULT_FORMATS = (process.env.DEVICE_DEFAULT_FORMATS || 'epub,pdf')
+  .split(',')
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+// Rewrite the OPF metadata of downloaded EPUBs from Goodreads data (title, author, ISBN, series) - opt-in
+export const REWRITE_EPUB_METADATA = process.env.REWRITE_EPUB_METADATA === 'true';
+
 // Search limits
 export const MAX_ATTEMPTS = 5;
-export const QUEUE_COOLDOWN_MS = 5000; // 5 seconds between queue items
+
+// Queue workers: up to QUEUE_WORKERS books are searched and downloaded in parallel.
+// Requests to the same site start at least DOMAIN_DELAY_MS apart, with at most
+// DOMAIN_CONCURRENCY of them running at once.
+export const QUEUE_WORKERS = Math.max(parseInt(process.env.QUEUE_WORKERS || '3', 10) || 1, 1);
+export const DOMAIN_CONCURRENCY = Math.max(parseInt(process.env.DOMAIN_CONCURRENCY || '2', 10) || 1, 1);
+export const DOMAIN_DELAY_MS = parseInt(process.env.DOMAIN_DELAY_MS || '5000', 10);
+
+// Queue policy: 'round-robin' takes turns between users (each user's books by priority,
+// then shelf order in users.shelves, then date added); 'fifo' is the plain queue order
+export const QUEUE_POLICIES = ['round-robin', 'fifo'];
+export const QUEUE_POLICY = process.env.QUEUE_POLICY || 'round-robin';
+
+// Retry scheduling: a failed book waits 1, 2, 4, ... hours (at most a day) before
+// its next attempt. Books that were still not found anywhere when they ran out of
+// attempts are searched again every NOT_FOUND_RETRY_DAYS days (0 = never).
+export const RETRY_BASE_MINUTES = 60;
+export const RETRY_MAX_MINUTES = 24 * 60;
+export const NOT_FOUND_RETRY_DAYS = parseInt(process.env.NOT_FOUND_RETRY_DAYS || '7', 10);
+
+// A book's transient failures (e.g. FlareSolverr is down) don't count toward MAX_ATTEMPTS,
+// up to MAX_TRANSIENT_FAILURES of them; after that they count like any other failure.
+// A queue run stops after MAX_CONSECUTIVE_TRANSIENT_FAILURES of them in a row.
+export const MAX_TRANSIENT_FAILURES = parseInt(process.env.MAX_TRANSIENT_FAILURES || '5', 10);
+export const MAX_CONSECUTIVE_TRANSIENT_FAILURES = parseInt(process.env.MAX_CONSECUTIVE_TRANSIENT_FAILURES || '3', 10);
+
+// Notification outbox: failed sends are retried on later cycles, waiting
+// 5, 10, 20, ... minutes (at most a day) between tries
+export const NOTIFY_MAX_ATTEMPTS = 10;
+export const NOTIFY_RETRY_BASE_MINUTES = 5;
+export const NOTIFY_RETRY_MAX_MINUTES = 24 * 60;
 
 // Download limits
 export const MAX_DOWNLOADS_PER_USER_PER_DAY = parseInt(process.env.MAX_DOWNLOADS_PER_USER_PER_DAY || '10', 10);
@@ -27,8 +103,19 @@ export const SMTP_FROM = process.env.SMTP_FROM || '';
 export const PUID = process.env.PUID ? parseInt(process.env.PUID, 10) : null;
 export const PGID = process.env.PGID ? parseInt(process.env.PGID, 10) : null;
 
+// Book source providers, tried in this order (unconfigured ones are skipped)
+export const PROVIDERS = (process.env.PROVIDERS || 'local,opds,annas-archive')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// Local folder provider: a directory of existing ebooks to check first
+export const LOCAL_LIBRARY_PATH = process.env.LOCAL_LIBRARY_PATH || null;
+
+// OPDS provider: catalog root URL (e.g. Calibre-Web's http://host:8083/opds) and optional basic auth
+export const OPDS_URL = process.env.OPDS_URL || null;
+export const OPDS_USERNAME = process.env.OPDS_USERNAME || null;
+export const OPDS_PASSWORD = process.env.OPDS_PASSWORD || null;
+
 // Anna's Archive domains
-export const AA_DOMAINS = [
-  'annas-archive.li',
-  'annas-archive.gl',
-];
\ No newline at end of file
+export const AA_DOMAINS = ['annas-archive.li', 'annas-archive.gl'];
@@ -1,3 +1,5 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
 import { log } from './logging.js';
 import { DB_PATH } from './config.js';
 import Database from 'better-sqlite3';
@@ -40,6 +42,24 @@ export function initDb() {
       FOREIGN KEY(user_id) REFERENCES users(id),
       FOREIGN KEY(book_id) REFERENCES books(id)
     );
+
+    CREATE TABLE IF NOT EXISTS book_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      book_id INTEGER NOT NULL,
+      attempt INTEGER,
+      attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      duration_ms INTEGER,
+      search_term TEXT,
+      domain TEXT,
+      candidates TEXT,
+      chosen_provider TEXT,
+      chosen_id TEXT,
+      outcome TEXT,
+      error_class TEXT,
+      error_message TEXT,
+      FOREIGN KEY(book_id) REFERENCES books(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_book_attempts_book ON book_attempts (book_id);
   `);
 
   // Migrate: add goodreads_book_id column if it doesn't exist (for existing DBs)
@@ -67,51 +87,415 @@ export function initDb() {
     void e;
   }
 
+  // Migrate: add shelves column (comma-separated Goodreads shelf names to sync per user)
+  try {
+    db.exec(`ALTER TABLE users ADD COLUMN shelves TEXT DEFAULT 'to-read'`);
+    log('🗄️  Migration: added shelves column to users table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add shelf column to user_books (which shelf the link came from)
+  try {
+    db.exec(`ALTER TABLE user_books ADD COLUMN shelf TEXT`);
+    log('🗄️  Migration: added shelf column to user_books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add removed_at column to user_books (set when a book leaves the user's synced shelves)
+  try {
+    db.exec(`ALTER TABLE user_books ADD COLUMN removed_at DATETIME`);
+    log('🗄️  Migration: added removed_at column to user_books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add removal_policy column (what to do with delivered files when a book is removed: keep, archive, delete)
+  try {
+    db.exec(`ALTER TABLE users ADD COLUMN removal_policy TEXT DEFAULT 'keep'`);
+    log('🗄️  Migration: added removal_policy column to users table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add per-user delivery tracking to user_books. Backfill links whose file is
+  // already on disk; links without one (late joiners, users skipped at their daily cap)
+  // stay undelivered so the delivery step copies the file to them.
+  try {
+    db.exec(`ALTER TABLE user_books ADD COLUMN delivered_at DATETIME`);
+    db.exec(`ALTER TABLE user_books ADD COLUMN delivered_path TEXT`);
+    const links = db
+      .prepare(
+        `
+      SELECT user_books.user_id, user_books.book_id, users.download_path, books.file_path, books.downloaded_at
+      FROM user_books
+      JOIN users ON users.id = user_books.user_id
+      JOIN books ON books.id = user_books.book_id
+      WHERE books.status = 'downloaded' AND books.file_path IS NOT NULL
+    `,
+      )
+      .all();
+    const backfill = db.prepare(
+      'UPDATE user_books SET delivered_at = ?, delivered_path = ? WHERE user_id = ? AND book_id = ?',
+    );
+    let backfilled = 0;
+    for (const link of links) {
+      const destPath = join(link.download_path, link.file_path);
+      if (existsSync(destPath)) {
+        backfill.run(link.downloaded_at, destPath, link.user_id, link.book_id);
+        backfilled++;
+      }
+    }
+    log(
+      `🗄️  Migration: added delivered_at/delivered_path columns to user_books table (${backfilled} existing delivery(ies) backfilled)`,
+    );
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add match audit columns (winning candidate score + ranked candidates as JSON)
+  try {
+    db.exec(`ALTER TABLE books ADD COLUMN match_score REAL`);
+    db.exec(`ALTER TABLE books ADD COLUMN match_candidates TEXT`);
+    log('🗄️  Migration: added match_score/match_candidates columns to books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add review columns (candidate approved by a human, and candidates they rejected as JSON)
+  try {
+    db.exec(`ALTER TABLE books ADD COLUMN approved_md5 TEXT`);
+    db.exec(`ALTER TABLE books ADD COLUMN rejected_md5s TEXT`);
+    log('🗄️  Migration: added approved_md5/rejected_md5s columns to books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add per-user search preferences (comma-separated; NULL = use DEFAULT_FORMATS / DEFAULT_LANGUAGES)
+  try {
+    db.exec(`ALTER TABLE users ADD COLUMN formats TEXT`);
+    db.exec(`ALTER TABLE users ADD COLUMN languages TEXT`);
+    log('🗄️  Migration: added formats/languages columns to users table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add provider columns (which source supplied the file, and the reviewer-approved candidate as JSON)
+  try {
+    db.exec(`ALTER TABLE books ADD COLUMN provider TEXT`);
+    db.exec(`ALTER TABLE books ADD COLUMN approved_candidate TEXT`);
+    db.exec(`UPDATE books SET provider = 'annas-archive' WHERE status = 'downloaded'`);
+    log('🗄️  Migration: added provider/approved_candidate columns to books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add publication year (for naming templates) and per-user naming template (NULL = NAMING_TEMPLATE)
+  try {
+    db.exec(`ALTER TABLE books ADD COLUMN year TEXT`);
+    db.exec(`ALTER TABLE users ADD COLUMN naming_template TEXT`);
+    log('🗄️  Migration: added books.year and users.naming_template columns');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add store_path (the book's file in the content-addressed store, hardlink mode only)
+  try {
+    db.exec(`ALTER TABLE books ADD COLUMN store_path TEXT`);
+    log('🗄️  Migration: added store_path column to books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add cover image URL and description from the Goodreads feed (for Calibre sidecars)
+  try {
+    db.exec(`ALTER TABLE books ADD COLUMN cover_url TEXT`);
+    db.exec(`ALTER TABLE books ADD COLUMN description TEXT`);
+    log('🗄️  Migration: added cover_url/description columns to books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add per-user OPDS server token (NULL = no catalog access)
+  try {
+    db.exec(`ALTER TABLE users ADD COLUMN opds_token TEXT`);
+    log('🗄️  Migration: added opds_token column to users table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add send-to-e-reader settings (users) and the result of each device delivery (user_books)
+  try {
+    db.exec(`ALTER TABLE users ADD COLUMN device_email TEXT`);
+    db.exec(`ALTER TABLE users ADD COLUMN device_formats TEXT`);
+    db.exec(`ALTER TABLE user_books ADD COLUMN device_status TEXT`);
+    db.exec(`ALTER TABLE user_books ADD COLUMN device_sent_at DATETIME`);
+    log('🗄️  Migration: added device_email/device_formats to users and device_status/device_sent_at to user_books');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add per-user output format (NULL = save books as downloaded; 'kepub' = convert EPUBs for Kobo)
+  try {
+    db.exec(`ALTER TABLE users ADD COLUMN output_format TEXT`);
+    log('🗄️  Migration: added output_format column to users table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add per-user notification channels (NULL = email only; see notifiers/index.js)
+  try {
+    db.exec(`ALTER TABLE users ADD COLUMN notify_channels TEXT`);
+    log('🗄️  Migration: added notify_channels column to users table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add retry scheduling (when a book may be tried again, failures that didn't count
+  // toward MAX_ATTEMPTS, and the error class of its last failure - see attempts.js)
+  try {
+    db.exec(`ALTER TABLE books ADD COLUMN next_attempt_at DATETIME`);
+    db.exec(`ALTER TABLE books ADD COLUMN transient_failures INTEGER DEFAULT 0`);
+    db.exec(`ALTER TABLE books ADD COLUMN last_error_class TEXT`);
+    log('🗄️  Migration: added next_attempt_at/transient_failures/last_error_class columns to books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add queue ordering to user_books (a user's own priority for a book, higher first,
+  // and when it was added to their Goodreads shelf)
+  try {
+    db.exec(`ALTER TABLE user_books ADD COLUMN priority INTEGER DEFAULT 0`);
+    db.exec(`ALTER TABLE user_books ADD COLUMN added_at DATETIME`);
+    log('🗄️  Migration: added priority/added_at columns to user_books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add per-user quotas (NULL daily = MAX_DOWNLOADS_PER_USER_PER_DAY; NULL weekly/monthly = no limit)
+  try {
+    db.exec(`ALTER TABLE users ADD COLUMN daily_quota INTEGER`);
+    db.exec(`ALTER TABLE users ADD COLUMN weekly_quota INTEGER`);
+    db.exec(`ALTER TABLE users ADD COLUMN monthly_quota INTEGER`);
+    log('🗄️  Migration: added daily_quota/weekly_quota/monthly_quota columns to users table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: mark deliveries that were files the user already had, so quotas don't count them
+  try {
+    db.exec(`ALTER TABLE user_books ADD COLUMN owned_copy INTEGER DEFAULT 0`);
+    log('🗄️  Migration: added owned_copy column to user_books table');
+  } catch (e) {
+    void e;
+  }
+
+  // Migrate: add the notification outbox - one row per book, event and channel, kept until
+  // the send succeeds. Books delivered before it existed count as already notified.
+  if (!db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'notifications'`).get()) {
+    db.exec(`
+      CREATE TABLE notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        book_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        details TEXT,
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME,
+        FOREIGN KEY(user_id) REFERENCES users(id),
+        FOREIGN KEY(book_id) REFERENCES books(id)
+      );
+      CREATE INDEX idx_notifications_pending ON notifications (sent_at, next_attempt_at);
+    `);
+    const backfilled = db.prepare('UPDATE user_books SET is_notified = 1 WHERE delivered_at IS NOT NULL').run().changes;
+    log(`🗄️  Migration: created notifications table (${backfilled} existing delivery(ies) marked as notified)`);
+  }
+
   // Prepare statements after DB and schema are ready
   stmts = {
     getUsers: db.prepare('SELECT * FROM users'),
+    getUserByOpdsToken: db.prepare('SELECT * FROM users WHERE opds_token = ?'),
+    getUserByGoodreadsId: db.prepare('SELECT * FROM users WHERE goodreads_id = ?'),
+    getUserById: db.prepare('SELECT * FROM users WHERE id = ?'),
+    getLibraryForUser: db.prepare(`
+      SELECT books.id, books.goodreads_book_id, books.title, books.author, books.isbn, books.year, books.cover_url, books.description,
+        user_books.delivered_path, user_books.delivered_at
+      FROM user_books
+      JOIN books ON books.id = user_books.book_id
+      WHERE user_books.user_id = ? AND user_books.removed_at IS NULL AND user_books.delivered_path IS NOT NULL
+      ORDER BY user_books.delivered_at DESC
+    `),
     upsertBookByGoodreadsId: db.prepare(`
-      INSERT INTO books (goodreads_book_id, isbn, title, author)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO books (goodreads_book_id, isbn, title, author, year, cover_url, description)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(goodreads_book_id) DO UPDATE SET
         isbn = COALESCE(excluded.isbn, books.isbn),
+        year = COALESCE(excluded.year, books.year),
+        cover_url = COALESCE(excluded.cover_url, books.cover_url),
+        description = COALESCE(excluded.description, books.description),
         title = COALESCE(excluded.title, books.title),
         author = COALESCE(excluded.author, books.author),
         updated_at = CURRENT_TIMESTAMP
     `),
     getBookByGoodreadsId: db.prepare('SELECT id FROM books WHERE goodreads_book_id = ?'),
-    linkUserBook: db.prepare('INSERT OR IGNORE INTO user_books (user_id, book_id) VALUES (?, ?)'),
+    linkUserBook: db.prepare(`
+      INSERT INTO user_books (user_id, book_id, shelf, added_at)
+      VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+      ON CONFLICT(user_id, book_id) DO UPDATE SET shelf = excluded.shelf, added_at = COALESCE(?, user_books.added_at), removed_at = NULL
+    `),
+    requeueRemovedBook: db.prepare(
+      `UPDATE books SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'removed'`,
+    ),
+    getActiveLinksForUser: db.prepare(`
+      SELECT books.id, books.title, books.author, books.status, books.file_path, user_books.shelf, user_books.delivered_path
+      FROM books
+      JOIN user_books ON books.id = user_books.book_id
+      WHERE user_books.user_id = ? AND user_books.removed_at IS NULL
+    `),
+    markLinkRemoved: db.prepare(
+      'UPDATE user_books SET removed_at = CURRENT_TIMESTAMP WHERE user_id = ? AND book_id = ?',
+    ),
+    countActiveLinksForBook: db.prepare(
+      'SELECT COUNT(*) as cnt FROM user_books WHERE book_id = ? AND removed_at IS NULL',
+    ),
+    dequeueBook: db.prepare(
+      `UPDATE books SET status = 'removed', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status IN ('pending', 'needs_review')`,
+    ),
     getNextPending: db.prepare(`
       SELECT * FROM books
-      WHERE status = 'pending'
-      AND attempts < ?
-      ORDER BY attempts ASC
+      WHERE (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+      AND ((status = 'pending' AND attempts < ?) OR (status = 'failed' AND next_attempt_at IS NOT NULL))
+      AND id NOT IN (SELECT value FROM json_each(?))
+      ORDER BY status = 'failed', attempts ASC
+      LIMIT 1
+    `),
+    getNextPendingForUser: db.prepare(`
+      SELECT books.*, user_books.priority AS user_priority, user_books.shelf AS user_shelf
+      FROM books
+      JOIN user_books ON books.id = user_books.book_id
+      JOIN users ON users.id = user_books.user_id
+      WHERE user_books.user_id = ? AND user_books.removed_at IS NULL AND user_books.delivered_at IS NULL
+      AND (books.next_attempt_at IS NULL OR books.next_attempt_at <= CURRENT_TIMESTAMP)
+      AND ((books.status = 'pending' AND books.attempts < ?) OR (books.status = 'failed' AND books.next_attempt_at IS NOT NULL))
+      AND books.id NOT IN (SELECT value FROM json_each(?))
+      ORDER BY books.status = 'failed', user_books.priority DESC,
+        instr(',' || REPLACE(COALESCE(users.shelves, 'to-read'), ' ', '') || ',', ',' || user_books.shelf || ','),
+        user_books.added_at ASC, books.attempts ASC, books.id ASC
       LIMIT 1
     `),
+    setLinkPriority: db.prepare('UPDATE user_books SET priority = ? WHERE user_id = ? AND book_id = ?'),
     getUserPathsForBook: db.prepare(`
       SELECT users.download_path
       FROM users
       JOIN user_books ON users.id = user_books.user_id
-      WHERE user_books.book_id = ?
+      WHERE user_books.book_id = ? AND user_books.removed_at IS NULL
     `),
-    incrementAttempts: db.prepare('UPDATE books SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
-    markDownloaded: db.prepare(`UPDATE books SET status = 'downloaded', file_path = ?, downloaded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`),
+    incrementAttempts: db.prepare(
+      'UPDATE books SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    ),
+    markDownloaded: db.prepare(
+      `UPDATE books SET status = 'downloaded', file_path = ?, provider = ?, downloaded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    ),
+    markAlreadyOwned: db.prepare(
+      `UPDATE books SET status = 'downloaded', file_path = ?, provider = 'owned', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    ),
+    recordMatch: db.prepare(
+      'UPDATE books SET match_score = ?, match_candidates = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    ),
+    markNeedsReview: db.prepare(
+      `UPDATE books SET status = 'needs_review', match_score = ?, match_candidates = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    ),
     markFailed: db.prepare(`UPDATE books SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = ?`),
-    countDownloadsToday: db.prepare(`
-      SELECT COUNT(*) as cnt FROM books
-      WHERE status = 'downloaded' AND date(downloaded_at) = date('now')
+    scheduleRetry: db.prepare(`
+      UPDATE books SET next_attempt_at = datetime('now', ?), last_error_class = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+    scheduleTransientRetry: db.prepare(`
+      UPDATE books SET attempts = attempts - 1, transient_failures = transient_failures + 1, next_attempt_at = datetime('now', ?), last_error_class = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+    refundAttempt: db.prepare(`
+      UPDATE books SET attempts = attempts - 1, last_error_class = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
     `),
-    countUserDownloadsToday: db.prepare(`
+    clearRetry: db.prepare(
+      'UPDATE books SET next_attempt_at = NULL, transient_failures = 0, last_error_class = NULL WHERE id = ?',
+    ),
+    countDownloadsSince: db.prepare(`
       SELECT COUNT(*) as cnt FROM books
-      JOIN user_books ON books.id = user_books.book_id
-      WHERE books.status = 'downloaded' AND date(books.downloaded_at) = date('now')
-      AND user_books.user_id = ?
+      WHERE status = 'downloaded' AND downloaded_at >= ?
+    `),
+    countUserDeliveriesSince: db.prepare(`
+      SELECT COUNT(*) as cnt FROM user_books
+      WHERE user_id = ? AND delivered_at >= ? AND owned_copy = 0
+    `),
+    markDelivered: db.prepare(
+      'UPDATE user_books SET delivered_at = CURRENT_TIMESTAMP, delivered_path = ?, owned_copy = 0 WHERE user_id = ? AND book_id = ?',
+    ),
+    markOwned: db.prepare(
+      'UPDATE user_books SET delivered_at = ?, delivered_path = ?, owned_copy = 1 WHERE user_id = ? AND book_id = ?',
+    ),
+    recordDeviceDelivery: db.prepare(
+      'UPDATE user_books SET device_status = ?, device_sent_at = CURRENT_TIMESTAMP WHERE user_id = ? AND book_id = ?',
+    ),
+    updateDeliveredPath: db.prepare('UPDATE user_books SET delivered_path = ? WHERE user_id = ? AND book_id = ?'),
+    clearDelivery: db.prepare(
+      'UPDATE user_books SET delivered_at = NULL, delivered_path = NULL, owned_copy = 0 WHERE user_id = ? AND book_id = ?',
+    ),
+    getUndeliveredLinks: db.prepare(`
+      SELECT books.id as book_id, books.goodreads_book_id, books.store_path, books.title, books.author, books.isbn, books.year, books.cover_url, books.description, user_books.shelf,
+        users.id, users.name, users.download_path, users.email, users.naming_template, users.device_email, users.device_formats, users.output_format, users.notify_channels
+      FROM user_books
+      JOIN books ON books.id = user_books.book_id
+      JOIN users ON users.id = user_books.user_id
+      WHERE books.status = 'downloaded' AND user_books.delivered_at IS NULL AND user_books.removed_at IS NULL
+      ORDER BY books.downloaded_at ASC
+    `),
+    getDeliveredCopies: db.prepare(`
+      SELECT user_books.delivered_path FROM user_books
+      WHERE book_id = ? AND delivered_path IS NOT NULL
     `),
+    setStorePath: db.prepare('UPDATE books SET store_path = ? WHERE id = ?'),
+    getDeliveredBookIdsByPath: db.prepare('SELECT book_id FROM user_books WHERE delivered_path = ?'),
     getUsersForBook: db.prepare(`
-      SELECT users.id, users.name, users.download_path, users.email
+      SELECT users.id, users.name, users.download_path, users.email, users.formats, users.languages, users.naming_template, users.device_email, users.device_formats, users.output_format, users.notify_channels, user_books.shelf
       FROM users
       JOIN user_books ON users.id = user_books.user_id
-      WHERE user_books.book_id = ?
+      WHERE user_books.book_id = ? AND user_books.removed_at IS NULL
+    `),
+    recordAttempt: db.prepare(`
+      INSERT INTO book_attempts (book_id, attempt, attempted_at, duration_ms, search_term, domain, candidates, chosen_provider, chosen_id, outcome, error_class, error_message)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    queueNotification: db.prepare(
+      'INSERT INTO notifications (user_id, book_id, type, channel, details) VALUES (?, ?, ?, ?, ?)',
+    ),
+    getDueNotifications: db.prepare(`
+      SELECT notifications.*, books.title, books.author, user_books.shelf
+      FROM notifications
+      JOIN books ON books.id = notifications.book_id
+      LEFT JOIN user_books ON user_books.user_id = notifications.user_id AND user_books.book_id = notifications.book_id
+      WHERE notifications.sent_at IS NULL AND notifications.attempts < ? AND notifications.next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY notifications.id ASC
+    `),
+    markNotificationSent: db.prepare(
+      'UPDATE notifications SET sent_at = CURRENT_TIMESTAMP, last_error = ? WHERE id = ?',
+    ),
+    markNotificationFailed: db.prepare(
+      `UPDATE notifications SET attempts = attempts + 1, last_error = ?, next_attempt_at = datetime('now', ?) WHERE id = ?`,
+    ),
+    markLinkNotified: db.prepare(`
+      UPDATE user_books SET is_notified = 1
+      WHERE user_id = ? AND book_id = ? AND NOT EXISTS (
+        SELECT 1 FROM notifications
+        WHERE notifications.user_id = user_books.user_id AND notifications.book_id = user_books.book_id
+          AND notifications.type = 'downloaded' AND notifications.sent_at IS NULL
+      )
     `),
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,134 @@
+import { mkdirSync, unlinkSync, statSync, readFileSync, createWriteStream } from 'fs';
+import { join, dirname, extname } from 'path';
+import { pipeline } from 'stream/promises';
+import axios from 'axios';
+import { DB_PATH } from './config.js';
+import { log } from './logging.js';
+import { sanitizeFilename } from './utils.js';
+import { attemptError } from './attempts.js';
+import { withDomain } from './throttle.js';
+
+/**
+ * Temp directory for in-progress downloads (next to the database).
+ */
+export function getTempDir() {
+  const tempDir = join(dirname(DB_PATH), 'tmp');
+  mkdirSync(tempDir, { recursive: true });
+  return tempDir;
+}
+
+/**
+ * Temp file path for a book, without extension. Starts with the book id, since
+ * queue workers can be downloading two editions with the same title at once.
+ */
+export function getTempBasePath(job) {
+  return join(getTempDir(), sanitizeFilename(`${job.id} - ${job.author || 'Unknown'} - ${job.title || 'Unknown'}`));
+}
+
+/**
+ * Throw (and delete the file) if a download is too small to be a real book,
+ * which usually means we saved an error page.
+ */
+export function rejectTinyFile(filePath) {
+  const { size } = statSync(filePath);
+  if (size < 1024) {
+    const content = readFileSync(filePath, 'utf-8');
+    unlinkSync(filePath);
+    throw attemptError(
+      'bad_file',
+      `Downloaded file too small (${size} bytes), likely an error page: ${content.substring(0, 300)}`,
+    );
+  }
+}
+
+/**
+ * Stream a URL to the temp directory with axios.
+ *
+ * @param {string} url
+ * @param {object} job - The books row (used for the temp filename)
+ * @param {object} [requestOptions] - Extra axios options (e.g. auth)
+ * @returns {Promise<{ filePath: string, extension: string }>}
+ */
+export async function streamDownload(url, job, requestOptions = {}) {
+  log(`⬇️  [Download] Starting stream download (5 min timeout)...`);
+  const dlStart = Date.now();
+
+  // The domain slot is held for the whole transfer, not just the first response
+  const { tempPath, extension } = await withDomain(url, async () => {
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      timeout: 300000,
+      maxRedirects: 10,
+      ...requestOptions,
+    });
+
+    const contentType = response.headers['content-type'] || 'unknown';
+    const contentLength = response.headers['content-length'] || 'unknown';
+    const disposition = response.headers['content-disposition'] || 'none';
+    log(
+      `[Download] Response: status=${response.status}, content-type=${contentType}, content-length=${contentLength}, content-disposition=${disposition}`,
+    );
+
+    const extension = getFileExtension(response);
+    log(`[Download] Determined file extension: ${extension}`);
+
+    const tempPath = `${getTempBasePath(job)}${extension}`;
+
+    const writer = createWriteStream(tempPath);
+    await pipeline(response.data, writer);
+    return { tempPath, extension };
+  });
+
+  const stats = statSync(tempPath);
+  const dlElapsed = ((Date.now() - dlStart) / 1000).toFixed(1);
+  log(`⬇️  [Download] Completed: ${(stats.size / 1024 / 1024).toFixed(2)} MB in ${dlElapsed}s -> ${tempPath}`);
+
+  rejectTinyFile(tempPath);
+
+  return { filePath: tempPath, extension };
+}
+
+export function getFileExtension(response) {
+  // Try Content-Disposition header first
+  const disposition = response.headers['content-disposition'];
+  if (disposition) {
+    const filenameMatch = disposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
+    if (filenameMatch) {
+      const filename = filenameMatch[1].replace(/['"]/g, '');
+      const ext = extname(filename);
+      if (ext) return ext;
+    }
+  }
+
+  // Try Content-Type header
+  const contentType = response.headers['content-type'];
+  const typeMap = {
+    'application/epub+zip': '.epub',
+    'application/epub': '.epub',
+    'application/pdf': '.pdf',
+    'application/x-mobipocket-ebook': '.mobi',
+    'application/vnd.amazon.ebook': '.azw3',
+    'application/x-cbz': '.cbz',
+    'application/x-cbr': '.cbr',
+    'application/zip': '.zip',
+  };
+
+  if (contentType) {
+    for (const [type, ext] of Object.entries(typeMap)) {
+      if (contentType.includes(type)) return ext;
+    }
+  }
+
+  // Try the URL path
+  try {
+    const urlPath = new URL(response.config.url || response.request.path).pathname;
+    const ext = extname(urlPath);
+    if (ext && ext.length <= 6) return ext;
+  } catch (e) {
+    /* ignore */
+    void e;
+  }
+
+  // Default to epub
+  return '.epub';
+}
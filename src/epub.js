@@ -0,0 +1,249 @@
+import AdmZip from 'adm-zip';
+import { load } from 'cheerio';
+import { posix } from 'path';
+
+import { log } from './logging.js';
+import { MATCH_THRESHOLD, formatScore, scoreCandidate } from './matching.js';
+import { parseSeries } from './utils.js';
+
+// Creator values that mean "no real author in the metadata"
+const UNKNOWN_AUTHORS = ['unknown', 'unknown author', 'anonymous', 'n/a', ''];
+
+/**
+ * Open an EPUB and locate its OPF package document.
+ * Throws with a readable reason if the file is not a usable EPUB.
+ *
+ * @returns {{ zip: AdmZip, opfPath: string, opfDir: string, $: import('cheerio').CheerioAPI }}
+ */
+export function openEpub(filePath) {
+  let zip;
+  try {
+    // noSort keeps the entry order on write: the mimetype entry has to stay first
+    zip = new AdmZip(filePath, { noSort: true });
+  } catch (err) {
+    throw new Error(`not a valid zip archive (${err.message || err})`, { cause: err });
+  }
+
+  const mimetype = zip.getEntry('mimetype');
+  if (!mimetype) {
+    throw new Error('zip has no "mimetype" entry');
+  }
+  const mimeValue = mimetype.getData().toString('utf-8').trim();
+  if (mimeValue !== 'application/epub+zip') {
+    throw new Error(`unexpected mimetype "${mimeValue.substring(0, 50)}"`);
+  }
+
+  const container = zip.getEntry('META-INF/container.xml');
+  if (!container) {
+    throw new Error('missing META-INF/container.xml');
+  }
+  const $container = load(container.getData().toString('utf-8'), { xmlMode: true });
+  const opfPath = $container('rootfile').first().attr('full-path');
+  if (!opfPath) {
+    throw new Error('container.xml has no rootfile');
+  }
+
+  const opfEntry = zip.getEntry(opfPath);
+  if (!opfEntry) {
+    throw new Error(`OPF "${opfPath}" listed in container.xml is missing`);
+  }
+
+  const opfXml = opfEntry.getData().toString('utf-8');
+  const $ = load(opfXml, { xmlMode: true });
+  if ($('package').length === 0 || $('package > metadata, package > opf\\:metadata').length === 0) {
+    throw new Error(`OPF "${opfPath}" has no <package>/<metadata>`);
+  }
+
+  return { zip, opfPath, opfDir: posix.dirname(opfPath), $ };
+}
+
+/**
+ * Write an EPUB opened with openEpub() back to disk, keeping the mimetype
+ * entry uncompressed as the EPUB spec (and Kobo/Kindle readers) require.
+ */
+export function writeEpub(zip, filePath) {
+  const mimetype = zip.getEntry('mimetype');
+  if (mimetype.header.method !== 0) {
+    mimetype.setData(mimetype.getData());
+    mimetype.header.method = 0;
+  }
+  zip.writeZip(filePath);
+}
+
+/**
+ * Read title, creator and identifiers from an opened EPUB's OPF.
+ */
+export function readOpfMetadata($) {
+  return {
+    title: $('dc\\:title').first().text().trim(),
+    author: $('dc\\:creator')
+      .toArray()
+      .map((el) => $(el).text().trim())
+      .filter(Boolean)
+      .join(', '),
+    identifiers: $('dc\\:identifier')
+      .toArray()
+      .map((el) => $(el).text().trim()),
+  };
+}
+
+/**
+ * Validate a downloaded EPUB before it is handed out: it must be a zip with
+ * the EPUB mimetype entry and a parseable OPF, and the OPF's dc:title and
+ * dc:creator must score as a plausible match for the Goodreads title/author
+ * (the same scoring and threshold as search results - the lenient ISBN
+ * threshold would let short titles through, e.g. "Carrie" for "It"). An OPF
+ * identifier equal to the Goodreads ISBN is accepted outright.
+ *
+ * Throws an Error whose message starts with "EPUB validation failed:".
+ */
+export function validateEpub(filePath, job) {
+  let opf;
+  try {
+    opf = openEpub(filePath);
+  } catch (err) {
+    throw new Error(`EPUB validation failed: ${err.message}`, { cause: err });
+  }
+
+  const meta = readOpfMetadata(opf.$);
+  const isbn = (job.isbn || '').replace(/[^0-9Xx]/g, '');
+  if (isbn && meta.identifiers.some((id) => id.replace(/[^0-9Xx]/g, '').endsWith(isbn))) {
+    log(`📘 [Validate] EPUB OK: identifier matches ISBN ${isbn}`);
+    return;
+  }
+
+  if (!meta.title) {
+    log(`📘 [Validate] EPUB OK (structure); no dc:title to compare`);
+    return;
+  }
+
+  const authorKnown = !UNKNOWN_AUTHORS.includes(meta.author.toLowerCase());
+  const { score } = scoreCandidate(job.title, authorKnown ? job.author : null, meta.title, meta.author);
+  const summary = `"${meta.title}" by ${meta.author || '?'} (score ${formatScore(score)})`;
+
+  if (score < MATCH_THRESHOLD) {
+    throw new Error(
+      `EPUB validation failed: metadata ${summary} does not match "${job.title}" by ${job.author || '?'}`,
+    );
+  }
+
+  log(`📘 [Validate] EPUB OK: metadata ${summary}`);
+}
+
+/**
+ * Find the OPF <metadata> element (it may be namespace-prefixed).
+ */
+function findMetadata($) {
+  const metadata = $('package > metadata');
+  return metadata.length > 0 ? metadata.first() : $('package > opf\\:metadata').first();
+}
+
+/**
+ * Rewrite the OPF metadata inside an EPUB (in place) from the Goodreads data in
+ * the books row: title (without the series suffix), author, ISBN, Goodreads ID
+ * as an identifier, and series name/index parsed from "(Series, #N)". Series is
+ * written both the Calibre way (calibre:series meta) and the EPUB 3 way
+ * (belongs-to-collection). The package's unique-identifier is left alone.
+ */
+export function rewriteEpubMetadata(filePath, job) {
+  const { zip, opfPath, $ } = openEpub(filePath);
+  const metadata = findMetadata($);
+  const { title, series, seriesIndex } = parseSeries(job.title);
+  const uniqueId = $('package').attr('unique-identifier');
+  const isEpub3 = ($('package').attr('version') || '').startsWith('3');
+
+  const addElement = (tag, text, attrs = {}) => {
+    const el = $(`<${tag}></${tag}>`);
+    for (const [name, value] of Object.entries(attrs)) el.attr(name, value);
+    if (text !== null) el.text(text);
+    metadata.append(el);
+    return el;
+  };
+
+  // Remove elements along with the EPUB 3 metas that refine them (role, file-as, ...)
+  const removeWithRefines = (elements) => {
+    const ids = elements
+      .map((_, el) => $(el).attr('id'))
+      .get()
+      .filter(Boolean);
+    $('meta[refines]')
+      .filter((_, el) => ids.includes($(el).attr('refines').replace(/^#/, '')))
+      .remove();
+    elements.remove();
+  };
+
+  // An id for a new element that nothing in the OPF uses or refines yet: `base`, `base-2`, ...
+  const unusedId = (base) => {
+    const taken = new Set([
+      ...$('[id]')
+        .map((_, el) => $(el).attr('id'))
+        .get(),
+      ...$('meta[refines]')
+        .map((_, el) => $(el).attr('refines').replace(/^#/, ''))
+        .get(),
+    ]);
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    return id;
+  };
+
+  if (title) {
+    removeWithRefines($('dc\\:title'));
+    addElement('dc:title', title);
+  }
+
+  if (job.author) {
+    removeWithRefines($('dc\\:creator'));
+    const creatorId = isEpub3 ? unusedId('creator') : null;
+    addElement('dc:creator', job.author, isEpub3 ? { id: creatorId } : { 'opf:role': 'aut' });
+    if (isEpub3) {
+      addElement('meta', 'aut', { refines: `#${creatorId}`, property: 'role', scheme: 'marc:relators' });
+    }
+  }
+
+  // Replace ISBN/Goodreads identifiers, but never the one the package uses as its unique-identifier
+  $('dc\\:identifier').each((_, el) => {
+    const id = $(el);
+    if (uniqueId && id.attr('id') === uniqueId) return;
+    const scheme = (id.attr('opf:scheme') || '').toUpperCase();
+    const value = id.text().trim().toLowerCase();
+    if (
+      ['ISBN', 'GOODREADS'].includes(scheme) ||
+      value.startsWith('urn:isbn:') ||
+      value.startsWith('isbn:') ||
+      value.startsWith('goodreads:')
+    ) {
+      id.remove();
+    }
+  });
+  if (job.isbn) {
+    addElement('dc:identifier', isEpub3 ? `urn:isbn:${job.isbn}` : job.isbn, isEpub3 ? {} : { 'opf:scheme': 'ISBN' });
+  }
+  if (job.goodreads_book_id) {
+    addElement(
+      'dc:identifier',
+      isEpub3 ? `goodreads:${job.goodreads_book_id}` : job.goodreads_book_id,
+      isEpub3 ? {} : { 'opf:scheme': 'GOODREADS' },
+    );
+  }
+
+  $('meta[name="calibre:series"], meta[name="calibre:series_index"]').remove();
+  removeWithRefines($('meta[property="belongs-to-collection"]'));
+  if (series) {
+    addElement('meta', null, { name: 'calibre:series', content: series });
+    addElement('meta', null, { name: 'calibre:series_index', content: seriesIndex });
+    if (isEpub3) {
+      const seriesId = unusedId('series');
+      addElement('meta', series, { property: 'belongs-to-collection', id: seriesId });
+      addElement('meta', 'series', { refines: `#${seriesId}`, property: 'collection-type' });
+      addElement('meta', seriesIndex, { refines: `#${seriesId}`, property: 'group-position' });
+    }
+  }
+
+  zip.updateFile(opfPath, Buffer.from($.xml(), 'utf-8'));
+  writeEpub(zip, filePath);
+
+  log(
+    `🏷️  [Metadata] Rewrote OPF: "${title}" by ${job.author || '?'}${series ? ` (${series} #${seriesIndex})` : ''}${job.isbn ? `, ISBN ${job.isbn}` : ''}, Goodreads ${job.goodreads_book_id}`,
+  );
+}
@@ -1,19 +1,72 @@
-import { mkdirSync, copyFileSync, unlinkSync, readdirSync, statSync, readFileSync, existsSync, renameSync, createWriteStream } from 'fs';
-import { join, basename, dirname, extname } from 'path';
-import { pipeline } from 'stream/promises';
+import { mkdirSync, unlinkSync, existsSync, renameSync } from 'fs';
+import { join, basename, dirname, relative } from 'path';
 import { schedule } from 'node-cron';
 import Parser from 'rss-parser';
 import axios from 'axios';
-import { load } from 'cheerio';
-import { launch } from 'puppeteer-core';
 
-import { DB_PATH, CRON_SCHEDULE, AA_API_KEY, FLARESOLVERR_URL, MAX_ATTEMPTS, QUEUE_COOLDOWN_MS, MAX_DOWNLOADS_PER_USER_PER_DAY, MAX_DOWNLOADS_PER_DAY, SMTP_HOST, SMTP_PORT, SMTP_FROM, AA_DOMAINS } from './config.js';
-
-import { log, logError, logWarn } from './logging.js';
-import { sanitizeFilename, sleep, fixOwnership } from './utils.js';
-import { sendDownloadNotification } from './mailer.js';
+import {
+  DB_PATH,
+  CRON_SCHEDULE,
+  AA_API_KEY,
+  FLARESOLVERR_URL,
+  MAX_ATTEMPTS,
+  QUEUE_WORKERS,
+  DOMAIN_CONCURRENCY,
+  DOMAIN_DELAY_MS,
+  NOT_FOUND_RETRY_DAYS,
+  MAX_TRANSIENT_FAILURES,
+  MAX_CONSECUTIVE_TRANSIENT_FAILURES,
+  RETRY_BASE_MINUTES,
+  MAX_DOWNLOADS_PER_USER_PER_DAY,
+  MAX_DOWNLOADS_PER_DAY,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_FROM,
+  AA_DOMAINS,
+  MAX_RSS_PAGES,
+  REMOVAL_POLICIES,
+  MATCH_REVIEW_MARGIN,
+  DEFAULT_FORMATS,
+  DEFAULT_LANGUAGES,
+  REWRITE_EPUB_METADATA,
+  NAMING_TEMPLATE,
+  STORAGE_MODE,
+  STORAGE_MODES,
+  QUEUE_POLICY,
+  QUEUE_POLICIES,
+  STORE_PATH,
+  CALIBRE_SIDECARS,
+  OPDS_SERVER_PORT,
+  DEVICE_MAX_ATTACHMENT_MB,
+  DEVICE_DEFAULT_FORMATS,
+} from './config.js';
+
+import { log, logError, logWarn, withLogTag } from './logging.js';
+import { sleep, fixOwnership, parseShelves, parseList, bookExtension } from './utils.js';
+import { sendToDevice } from './mailer.js';
+import {
+  TRANSIENT_ERROR_CLASSES,
+  attemptError,
+  classifyError,
+  formatDelay,
+  retryDelayMinutes,
+  searchFailedError,
+} from './attempts.js';
+import { describeNotifiers } from './notifiers/index.js';
+import { queueNotification, sendPendingNotifications } from './notifiers/outbox.js';
 import { initDb, stmts, db } from './db.js';
-
+import { rankCandidates, formatScore } from './matching.js';
+import { validateEpub, rewriteEpubMetadata } from './epub.js';
+import { resolveDestination } from './naming.js';
+import { isHardlinkMode, addToStore, placeFile } from './storage.js';
+import { findOwnedCopy } from './owned.js';
+import { fetchCover, findSidecars, writeCalibreSidecars } from './calibre.js';
+import { startOpdsServer } from './opds-server.js';
+import { convertToKepub } from './kepub.js';
+import { getTempBasePath } from './download.js';
+import { getQueuePolicy, pickNextBook } from './queue.js';
+import { countDownloadsToday, findExhaustedQuota, quotaLeft } from './quota.js';
+import { getProvider, getProviders, describeProviders, closeProviders } from './providers/index.js';
 
 // --- RSS SYNC ---
 const rssParser = new Parser({
@@ -22,10 +75,64 @@ const rssParser = new Parser({
       ['book_id', 'book_id'],
       ['isbn', 'isbn'],
       ['author_name', 'author_name'],
+      ['book_published', 'book_published'],
+      ['book_large_image_url', 'book_large_image_url'],
+      ['book_image_url', 'book_image_url'],
+      ['book_description', 'book_description'],
+      ['user_date_added', 'user_date_added'],
     ],
   },
 });
 
+/**
+ * Fetch every page of a user's shelf feed. Goodreads only returns one page per
+ * request, so follow &page=N until a page is empty or only repeats items we've
+ * already seen (Goodreads serves the last page again past the end), capped at
+ * MAX_RSS_PAGES.
+ *
+ * @returns {{ items: object[], pages: number, complete: boolean }} complete is false when the page cap was hit
+ */
+async function fetchShelfItems(user, shelf) {
+  const baseUrl = `https://www.goodreads.com/review/list_rss/${user.goodreads_id}?shelf=${encodeURIComponent(shelf)}`;
+  const items = [];
+  const seenKeys = new Set();
+  let pages = 0;
+  let complete = false;
+
+  for (let page = 1; page <= MAX_RSS_PAGES; page++) {
+    const feed = await rssParser.parseURL(`${baseUrl}&page=${page}`);
+    pages++;
+
+    if (feed.items.length === 0) {
+      complete = true;
+      break;
+    }
+
+    const freshItems = feed.items.filter((item) => {
+      const key = item.book_id || item.guid || item.link || item.title;
+      if (seenKeys.has(key)) return false;
+      seenKeys.add(key);
+      return true;
+    });
+
+    if (freshItems.length === 0) {
+      log(`📡 [RSS] Page ${page} of "${shelf}" only repeats earlier items, stopping`);
+      complete = true;
+      break;
+    }
+
+    items.push(...freshItems);
+
+    if (page === MAX_RSS_PAGES) {
+      logWarn(
+        `[RSS] Reached MAX_RSS_PAGES (${MAX_RSS_PAGES}) for ${user.name} (shelf: ${shelf}) - older items may be missing`,
+      );
+    }
+  }
+
+  return { items, pages, complete };
+}
+
 async function syncRSS() {
   log('📚 Syncing RSS feeds...');
   const users = stmts.getUsers.all();
@@ -35,717 +142,891 @@ async function syncRSS() {
     return;
   }
 
-  log(`👥 Found ${users.length} user(s): ${users.map(u => u.name).join(', ')}`);
+  log(`👥 Found ${users.length} user(s): ${users.map((u) => u.name).join(', ')}`);
 
   for (const user of users) {
-    try {
-      const feedUrl = `https://www.goodreads.com/review/list_rss/${user.goodreads_id}?shelf=to-read`;
-      log(`📡 [RSS] Fetching feed for ${user.name} (Goodreads ID: ${user.goodreads_id})`);
-      const feed = await rssParser.parseURL(feedUrl);
-      log(`📡 [RSS] Feed returned ${feed.items.length} item(s) for ${user.name}`);
-
-      let newBooks = 0;
-      let existingBooks = 0;
-      let skipped = 0;
-
-      for (const item of feed.items) {
-        // Extract Goodreads book_id -- this is our primary dedup key
-        const goodreadsBookId = item.book_id || null;
-        if (!goodreadsBookId) {
-          logWarn(`[RSS] Skipping feed item without book_id: "${item.title || 'unknown'}"`);
-          skipped++;
-          continue;
-        }
-
-        // Try multiple ISBN sources:
-        // 1. Direct <isbn> element from RSS
-        // 2. isbn13 from description CDATA
-        let isbn = null;
-        if (item.isbn && item.isbn.trim().length > 0) {
-          isbn = item.isbn.trim();
-        }
-        if (!isbn && item.content) {
-          const isbn13Match = item.content.match(/isbn13:\s*(\d{13})/);
-          if (isbn13Match) isbn = isbn13Match[1];
-        }
+    const shelves = parseShelves(user.shelves);
+    let userPages = 0;
+    let userItems = 0;
+    // Removal detection only runs if every shelf was read to the end
+    let fullSync = true;
+    const seenBookIds = new Set();
+
+    for (const shelf of shelves) {
+      try {
+        log(`📡 [RSS] Fetching "${shelf}" shelf for ${user.name} (Goodreads ID: ${user.goodreads_id})`);
+        const { items, pages, complete } = await fetchShelfItems(user, shelf);
+        if (!complete) fullSync = false;
+        userPages += pages;
+        userItems += items.length;
+        log(
+          `📡 [RSS] Feed returned ${items.length} item(s) across ${pages} page(s) for ${user.name} (shelf: ${shelf})`,
+        );
 
-        const title = item.title || null;
-        const author = item.author_name || item.creator || null;
+        let newBooks = 0;
+        let existingBooks = 0;
+        let skipped = 0;
+
+        for (const item of items) {
+          // Extract Goodreads book_id -- this is our primary dedup key
+          const goodreadsBookId = item.book_id || null;
+          if (!goodreadsBookId) {
+            logWarn(`[RSS] Skipping feed item without book_id: "${item.title || 'unknown'}"`);
+            skipped++;
+            continue;
+          }
 
-        // Check if book already exists before upsert to distinguish new vs existing
-        const existing = stmts.getBookByGoodreadsId.get(goodreadsBookId);
+          // Try multiple ISBN sources:
+          // 1. Direct <isbn> element from RSS
+          // 2. isbn13 from description CDATA
+          let isbn = null;
+          if (item.isbn && item.isbn.trim().length > 0) {
+            isbn = item.isbn.trim();
+          }
+          if (!isbn && item.content) {
+            const isbn13Match = item.content.match(/isbn13:\s*(\d{13})/);
+            if (isbn13Match) isbn = isbn13Match[1];
+          }
 
-        // Upsert book using goodreads_book_id as the unique key
-        stmts.upsertBookByGoodreadsId.run(goodreadsBookId, isbn, title, author);
+          const title = item.title || null;
+          const author = item.author_name || item.creator || null;
+          const year = (item.book_published || '').trim() || null;
+          const coverUrl = (item.book_large_image_url || item.book_image_url || '').trim() || null;
+          const description = (item.book_description || '').trim() || null;
+          const addedDate = item.user_date_added ? new Date(item.user_date_added) : null;
+          const addedAt =
+            addedDate && !isNaN(addedDate) ? addedDate.toISOString().replace('T', ' ').substring(0, 19) : null;
+
+          // Check if book already exists before upsert to distinguish new vs existing
+          const existing = stmts.getBookByGoodreadsId.get(goodreadsBookId);
+
+          // Upsert book using goodreads_book_id as the unique key
+          stmts.upsertBookByGoodreadsId.run(goodreadsBookId, isbn, title, author, year, coverUrl, description);
+
+          // Get the book ID
+          const book = stmts.getBookByGoodreadsId.get(goodreadsBookId);
+          if (!book) {
+            logWarn(`[RSS] Could not retrieve book after upsert (goodreads_book_id: ${goodreadsBookId})`);
+            continue;
+          }
 
-        // Get the book ID
-        const book = stmts.getBookByGoodreadsId.get(goodreadsBookId);
-        if (!book) {
-          logWarn(`[RSS] Could not retrieve book after upsert (goodreads_book_id: ${goodreadsBookId})`);
-          continue;
+          // Link user to book, remembering which shelf it came from (re-activates a removed link)
+          stmts.linkUserBook.run(user.id, book.id, shelf, addedAt, addedAt);
+          stmts.requeueRemovedBook.run(book.id);
+          seenBookIds.add(book.id);
+
+          if (existing) {
+            existingBooks++;
+          } else {
+            newBooks++;
+            log(
+              `📗 [RSS] New book queued: "${title}" by ${author || '?'} (shelf: ${shelf}, goodreads_book_id: ${goodreadsBookId})`,
+            );
+          }
         }
 
-        // Link user to book
-        stmts.linkUserBook.run(user.id, book.id);
-
-        if (existing) {
-          existingBooks++;
-        } else {
-          newBooks++;
-          log(`📗 [RSS] New book queued: "${title}" by ${author || '?'} (goodreads_book_id: ${goodreadsBookId})`);
-        }
+        log(`📊 [RSS] ${user.name} [${shelf}]: ${newBooks} new, ${existingBooks} existing, ${skipped} skipped`);
+      } catch (err) {
+        logError(`[RSS] Failed to sync "${shelf}" shelf for user ${user.name}`, err);
+        fullSync = false;
       }
-
-      log(`📊 [RSS] ${user.name}: ${newBooks} new, ${existingBooks} existing, ${skipped} skipped`);
-    } catch (err) {
-      logError(`[RSS] Failed to sync user ${user.name}`, err);
     }
-  }
-}
 
-// --- QUEUE PROCESSING ---
+    log(`📊 [RSS] ${user.name}: read ${userPages} page(s), ${userItems} item(s) across ${shelves.length} shelf(s)`);
 
-async function processQueue() {
-  log('🔄 Processing queue...');
-
-  // Log queue depth for visibility
-  const pendingCount = db.prepare(`SELECT COUNT(*) as cnt FROM books WHERE status = 'pending' AND attempts < ?`).get(MAX_ATTEMPTS);
-  const failedCount = db.prepare(`SELECT COUNT(*) as cnt FROM books WHERE status = 'failed'`).get();
-  const todayCount = stmts.countDownloadsToday.get();
-  log(`📊 [Queue] ${pendingCount.cnt} pending, ${failedCount.cnt} permanently failed, ${todayCount.cnt}/${MAX_DOWNLOADS_PER_DAY} downloaded today`);
-
-  // Check overall daily limit before starting
-  if (todayCount.cnt >= MAX_DOWNLOADS_PER_DAY) {
-    log(`🛑 [Queue] Daily download limit reached (${MAX_DOWNLOADS_PER_DAY}). Skipping queue until tomorrow.`);
-    return;
-  }
-
-  let processed = 0;
-  let succeeded = 0;
-  let failed = 0;
-  let skippedLimit = 0;
-  const skippedBookIds = [];
-  const downloadedPerUser = new Map(); // userId -> { user, books[] }
-
-  // Check per-user daily limits once upfront and log a single message per user at limit
-  const rateLimitedUserIds = new Set();
-  for (const user of stmts.getUsers.all()) {
-    const userCount = stmts.countUserDownloadsToday.get(user.id).cnt;
-    if (userCount >= MAX_DOWNLOADS_PER_USER_PER_DAY) {
-      rateLimitedUserIds.add(user.id);
-      log(`🛑 [Queue] User "${user.name}" has reached their daily limit (${userCount}/${MAX_DOWNLOADS_PER_USER_PER_DAY}). Skipping their books.`);
+    if (!fullSync) {
+      logWarn(`[RSS] Incomplete feed for ${user.name} - skipping removal detection this cycle`);
+    } else if (userItems === 0 && stmts.getActiveLinksForUser.all(user.id).length > 0) {
+      // An empty feed is far more likely to be a Goodreads hiccup (or a shelf made private) than a user clearing everything
+      logWarn(`[RSS] Feed for ${user.name} came back empty - skipping removal detection this cycle`);
+    } else {
+      reconcileRemovedBooks(user, seenBookIds);
     }
   }
+}
 
-  while (true) {
-    // Re-check overall daily limit after each download
-    const dailyCount = stmts.countDownloadsToday.get().cnt;
-    if (dailyCount >= MAX_DOWNLOADS_PER_DAY) {
-      log(`🛑 [Queue] Daily download limit reached (${dailyCount}/${MAX_DOWNLOADS_PER_DAY}). Stopping queue.`);
-      break;
-    }
+/**
+ * Compare a user's active links against what their feeds returned. Links that
+ * no longer appear are marked removed; pending books nobody wants any more are
+ * dequeued, and delivered files are handled according to the user's
+ * removal_policy (keep, archive, delete).
+ */
+function reconcileRemovedBooks(user, seenBookIds) {
+  const policy = REMOVAL_POLICIES.includes(user.removal_policy) ? user.removal_policy : 'keep';
+  const staleLinks = stmts.getActiveLinksForUser.all(user.id).filter((b) => !seenBookIds.has(b.id));
 
-    // Get next pending book, excluding any we already skipped due to rate limits
-    let job;
-    if (skippedBookIds.length === 0) {
-      job = stmts.getNextPending.get(MAX_ATTEMPTS);
-    } else {
-      const placeholders = skippedBookIds.map(() => '?').join(',');
-      job = db.prepare(
-        `SELECT * FROM books WHERE status = 'pending' AND attempts < ? AND id NOT IN (${placeholders}) ORDER BY attempts ASC LIMIT 1`
-      ).get(MAX_ATTEMPTS, ...skippedBookIds);
-    }
+  if (staleLinks.length === 0) return;
 
-    if (!job) {
-      break;
-    }
+  log(`🧹 [RSS] ${user.name}: ${staleLinks.length} book(s) no longer on synced shelves (policy: ${policy})`);
 
-    // Check per-user daily limits: only proceed if at least one linked user has quota left
-    const linkedUsers = stmts.getUsersForBook.all(job.id);
-    const eligibleUsers = linkedUsers.filter(u => !rateLimitedUserIds.has(u.id));
+  for (const book of staleLinks) {
+    stmts.markLinkRemoved.run(user.id, book.id);
+    log(`🧹 [RSS] Removed: "${book.title}" by ${book.author || '?'} (was on shelf: ${book.shelf || '?'})`);
 
-    if (eligibleUsers.length === 0) {
-      skippedBookIds.push(job.id);
-      skippedLimit++;
-      continue;
+    if (['pending', 'needs_review'].includes(book.status) && stmts.countActiveLinksForBook.get(book.id).cnt === 0) {
+      stmts.dequeueBook.run(book.id);
+      log(`🧹 [RSS] Dequeued "${book.title}" - no remaining users want it`);
     }
 
-    // Build search query: strip series info like "(Culture, #3)" - it's noise for search
-    const cleanTitle = (job.title || '').replace(/\(.*?\)/g, '').trim();
-    const searchTerm = [cleanTitle, job.author].filter(Boolean).join(' ').trim();
-    log(`📖 [Queue] Processing: "${job.title}" by ${job.author || '?'} (search: "${searchTerm}", attempt ${job.attempts + 1}/${MAX_ATTEMPTS}, book_id: ${job.id})`);
-
-    const jobStart = Date.now();
-
-    try {
-      // Increment attempts immediately so we don't loop on crash
-      stmts.incrementAttempts.run(job.id);
-
-      if (!searchTerm) {
-        throw new Error('No title or author available to search');
-      }
-
-      // 1. SEARCH Anna's Archive (fuzzy match against title + author)
-      const downloadUrl = await findBookOnAnna(searchTerm, job.title, job.author);
-
-      if (!downloadUrl) {
-        throw new Error('Book not found on Anna\'s Archive');
-      }
-
-      // 2. DOWNLOAD the file
-      log(`⬇️  [Queue] Downloading from: ${downloadUrl}`);
-      const { filePath: tempPath, extension } = await downloadBook(downloadUrl, job);
-
-      // 3. COPY to eligible users' download folders (skip users at their daily limit)
-      const safeTitle = sanitizeFilename(`${job.title || 'Unknown'}`);
-      const filename = `${safeTitle}${extension}`;
-      log(`📂 [Queue] Copying "${filename}" to ${eligibleUsers.length} user folder(s)...`);
-
-      for (const user of eligibleUsers) {
-        const destDir = user.download_path;
-        const destPath = join(destDir, filename);
-
-        mkdirSync(destDir, { recursive: true });
-        fixOwnership(destDir);
-        copyFileSync(tempPath, destPath);
-        fixOwnership(destPath);
-        log(`💾 [Queue] Saved: ${destPath} (for ${user.name})`);
-      }
-
-      // Clean up temp file
-      try {
-        unlinkSync(tempPath);
-      } catch (cleanupErr) {
-        logWarn(`[Queue] Could not delete temp file ${tempPath}: ${cleanupErr.message}`);
-      }
+    if (book.delivered_path && policy !== 'keep') {
+      applyRemovalPolicy(user, book, policy);
+    }
+  }
+}
 
-      // 4. Mark as downloaded
-      stmts.markDownloaded.run(filename, job.id);
-      const elapsed = ((Date.now() - jobStart) / 1000).toFixed(1);
-      log(`✅ [Queue] SUCCESS: "${job.title}" by ${job.author || '?'} (${elapsed}s)`);
-      succeeded++;
+function applyRemovalPolicy(user, book, policy) {
+  const filePath = book.delivered_path;
+  if (!existsSync(filePath)) {
+    log(`🧹 [RSS] File already gone, nothing to ${policy}: ${filePath}`);
+    stmts.clearDelivery.run(user.id, book.id);
+    return;
+  }
 
-      // Track this download for each user who received it (for email notifications)
-      for (const user of eligibleUsers) {
-        if (!downloadedPerUser.has(user.id)) {
-          downloadedPerUser.set(user.id, { user, books: [] });
-        }
-        downloadedPerUser.get(user.id).books.push({ title: job.title, author: job.author });
-      }
+  // Calibre sidecars (metadata.opf, cover.jpg) go wherever the book goes
+  const sidecars = findSidecars(filePath);
 
-      // Refresh per-user limits — a user may have just hit their cap
-      for (const user of eligibleUsers) {
-        if (!rateLimitedUserIds.has(user.id)) {
-          const userCount = stmts.countUserDownloadsToday.get(user.id).cnt;
-          if (userCount >= MAX_DOWNLOADS_PER_USER_PER_DAY) {
-            rateLimitedUserIds.add(user.id);
-            log(`🛑 [Queue] User "${user.name}" has now reached their daily limit (${userCount}/${MAX_DOWNLOADS_PER_USER_PER_DAY}).`);
-          }
-        }
-      }
-
-    } catch (err) {
-      const elapsed = ((Date.now() - jobStart) / 1000).toFixed(1);
-      logError(`[Queue] FAILED: "${job.title}" by ${job.author || '?'} (attempt ${job.attempts + 1}/${MAX_ATTEMPTS}, ${elapsed}s)`, err);
-
-      // Mark as failed if we've exhausted attempts
-      if (job.attempts + 1 >= MAX_ATTEMPTS) {
-        logWarn(`[Queue] Permanently failed after ${MAX_ATTEMPTS} attempts: "${job.title}" by ${job.author || '?'}`);
-        stmts.markFailed.run(job.id);
-      } else {
-        log(`🔁 [Queue] Will retry "${job.title}" on next run (${MAX_ATTEMPTS - job.attempts - 1} attempt(s) remaining)`);
-      }
-      failed++;
+  try {
+    if (policy === 'delete') {
+      unlinkSync(filePath);
+      sidecars.forEach((sidecar) => unlinkSync(sidecar));
+      stmts.clearDelivery.run(user.id, book.id);
+      log(
+        `🗑️  [RSS] Deleted ${filePath}${sidecars.length > 0 ? ` and ${sidecars.length} sidecar file(s)` : ''} (for ${user.name})`,
+      );
+    } else if (policy === 'archive') {
+      const relPath = relative(user.download_path, filePath);
+      const archivePath = join(user.download_path, '_archive', relPath.startsWith('..') ? basename(filePath) : relPath);
+      mkdirSync(dirname(archivePath), { recursive: true });
+      fixOwnership(dirname(archivePath));
+      renameSync(filePath, archivePath);
+      sidecars.forEach((sidecar) => renameSync(sidecar, join(dirname(archivePath), basename(sidecar))));
+      stmts.updateDeliveredPath.run(archivePath, user.id, book.id);
+      log(`📦 [RSS] Archived ${filePath} -> ${archivePath} (for ${user.name})`);
     }
-
-    processed++;
-    // Cooldown between items to avoid rate-limiting
-    await sleep(QUEUE_COOLDOWN_MS);
+  } catch (err) {
+    logError(`[RSS] Could not ${policy} ${filePath} for ${user.name}`, err);
   }
+}
 
-  if (processed === 0 && skippedLimit === 0) {
-    log('😴 [Queue] Queue empty. Nothing to process.');
-  } else {
-    log(`📊 [Queue] Done: ${succeeded} succeeded, ${failed} failed, ${skippedLimit} skipped (rate limit)`);
+/**
+ * Create dir (and any folders between it and the user's download_path) with
+ * the configured ownership.
+ */
+function ensureDir(downloadPath, dir) {
+  mkdirSync(dir, { recursive: true });
+  let current = dir;
+  while (current.startsWith(downloadPath)) {
+    fixOwnership(current);
+    if (current === downloadPath) break;
+    current = dirname(current);
   }
-
-  return downloadedPerUser;
 }
 
-// --- FUZZY MATCHING ---
-
 /**
- * Normalize a string for fuzzy comparison:
- * lowercase, strip parenthetical info (e.g. series), remove punctuation, collapse whitespace.
+ * Record a file a user already has in their download_path (from
+ * findOwnedCopy) as their delivery, dated by the file's mtime and marked as
+ * owned so it doesn't count toward their quotas. Nothing is downloaded or copied.
  */
-function normalizeText(str) {
-  if (!str) return '';
-  return str
-    .toLowerCase()
-    .replace(/\(.*?\)/g, '')       // Remove parenthetical info like "(Culture, #3)"
-    .replace(/:\s*a novel$/i, '')  // Strip common subtitle noise like ": A Novel"
-    .replace(/[^\w\s]/g, '')       // Remove punctuation
-    .replace(/\s+/g, ' ')
-    .trim();
+function markOwnedCopy(user, book, owned) {
+  const ownedSince = new Date(owned.mtimeMs).toISOString().replace('T', ' ').substring(0, 19);
+  stmts.markOwned.run(ownedSince, owned.path, user.id, book.id);
+  log(`📚 [Queue] ${user.name} already has "${book.title}": ${owned.path} (matched by ${owned.reason})`);
 }
 
 /**
- * Compute word-overlap similarity between two strings (0–1).
- * Returns the fraction of words from the shorter string that appear in the longer one.
+ * Add a row to book_attempts for one attempt at a book: what was searched
+ * (trace comes from findBook), the candidate picked, how it ended and, for
+ * failures, the error and its class. Returns the error class (null if none).
  */
-function wordOverlap(a, b) {
-  const wordsA = new Set(normalizeText(a).split(' ').filter(Boolean));
-  const wordsB = new Set(normalizeText(b).split(' ').filter(Boolean));
-
-  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+function recordAttempt(job, startedAt, searchTerm, trace, candidate, outcome, err = null) {
+  const errorClass = err ? classifyError(err) : null;
+  const seen = trace.candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 10)
+    .map(({ provider, id, title, author, format, score }) => ({ provider, id, title, author, format, score }));
+
+  stmts.recordAttempt.run(
+    job.id,
+    job.attempts + 1,
+    new Date(startedAt).toISOString().replace('T', ' ').substring(0, 19),
+    Date.now() - startedAt,
+    searchTerm || null,
+    candidate?.domain || [...trace.sources].join(', ') || null,
+    seen.length > 0 ? JSON.stringify(seen) : null,
+    candidate?.provider || null,
+    candidate?.id || null,
+    outcome,
+    errorClass,
+    err ? err.message : null,
+  );
+  return errorClass;
+}
 
-  const [smaller, larger] = wordsA.size <= wordsB.size ? [wordsA, wordsB] : [wordsB, wordsA];
-  let matches = 0;
-  for (const w of smaller) {
-    if (larger.has(w)) matches++;
-  }
-  return matches / smaller.size;
+/**
+ * Email a saved book to the user's e-reader if they have a device_email, and
+ * record the result on user_books. Returns the result (null if no device).
+ */
+async function deliverToDevice(user, book, filePath) {
+  if (!user.device_email) return null;
+  const result = await sendToDevice(user, book, filePath);
+  stmts.recordDeviceDelivery.run(
+    result.reason ? `${result.status}: ${result.reason}` : result.status,
+    user.id,
+    book.id,
+  );
+  return result;
 }
 
 /**
- * Check whether a search result (title + author from Anna's Archive) is a
- * sufficiently good match for the expected title + author from Goodreads.
+ * The file to place for a user: the book as downloaded, or for users whose
+ * output_format is kepub, a KEPUB conversion of an EPUB. Conversions are made
+ * once per book and kept in `outputs` (format -> file); in hardlink mode they
+ * go into the store too. If a conversion fails the user gets the original.
  *
- * Title must have >= 70% word overlap; if we have an expected author, at least
- * one of their name-parts must appear in the result's author string.
+ * @returns {{ path: string, extension: string }}
  */
-function isGoodMatch(expectedTitle, expectedAuthor, resultTitle, resultAuthor) {
-  const titleScore = wordOverlap(expectedTitle, resultTitle);
+function prepareUserOutput(user, book, source, outputs) {
+  if (user.output_format !== 'kepub' || source.extension.toLowerCase() !== '.epub') return source;
 
-  log(`    [Match] Title overlap: ${(titleScore * 100).toFixed(0)}% ("${normalizeText(expectedTitle)}" vs "${normalizeText(resultTitle)}")`);
-
-  if (titleScore < 0.7) {
-    log(`    [Match] Title score ${(titleScore * 100).toFixed(0)}% < 70% threshold -> reject`);
-    return false;
+  if (!outputs.has('kepub')) {
+    const tempPath = `${getTempBasePath(book)}.kepub.epub`;
+    try {
+      convertToKepub(source.path, tempPath);
+      const path = isHardlinkMode() ? addToStore(tempPath, '.kepub.epub') : tempPath;
+      outputs.set('kepub', { path, extension: '.kepub.epub', tempPath });
+    } catch (err) {
+      logWarn(`[KEPUB] Could not convert "${book.title}", saving the EPUB instead: ${err.message}`);
+      if (existsSync(tempPath)) unlinkSync(tempPath);
+      outputs.set('kepub', source);
+    }
   }
+  return outputs.get('kepub');
+}
 
-  // If we have an expected author, verify at least one significant name-part matches
-  if (expectedAuthor) {
-    const expectedParts = normalizeText(expectedAuthor).split(' ').filter(w => w.length > 2);
-    const resultAuthorNorm = normalizeText(resultAuthor);
-    const authorHit = expectedParts.some(part => resultAuthorNorm.includes(part));
-
-    log(`    [Match] Author check: expected parts [${expectedParts.join(', ')}] vs result "${resultAuthorNorm}" -> ${authorHit ? 'hit' : 'miss'}`);
-
-    if (!authorHit) return false;
-  } else {
-    log(`    [Match] No expected author to check, skipping author verification`);
+function cleanupOutputs(outputs) {
+  for (const output of outputs.values()) {
+    if (output.tempPath && existsSync(output.tempPath)) unlinkSync(output.tempPath);
   }
-
-  return true;
 }
 
-// --- ANNA'S ARCHIVE SEARCH ---
-
-const MAX_RESULTS_TO_CHECK = 5;
-
 /**
- * Search Anna's Archive for a book by query string, then fuzzy-match the
- * top results against the expected title/author from Goodreads.
- *
- * @param {string} query   - The search query (usually "title author")
- * @param {string} expectedTitle  - The book title from Goodreads
- * @param {string} expectedAuthor - The author from Goodreads (may be empty)
- * @returns {string|null} A download URL, or null if not found
+ * Copy already-downloaded books to linked users who haven't received them yet:
+ * users who added a book after someone else got it, or who were skipped at
+ * their daily limit. The source is any existing delivered copy - this never
+ * searches or downloads again.
  */
-async function findBookOnAnna(query, expectedTitle, expectedAuthor) {
-  const searchParams = 'search?index=&page=1&sort=&ext=epub&lang=en&lang=fr&lang=nl&display=&q=';
-
-  for (let i = 0; i < AA_DOMAINS.length; i++) {
-    const domain = AA_DOMAINS[i];
-    const searchUrl = `https://${domain}/${searchParams}${encodeURIComponent(query)}`;
-
-    log(`🌐 [Search] Trying domain ${i + 1}/${AA_DOMAINS.length}: ${domain}`);
-    log(`🔗 [Search] URL: ${searchUrl}`);
+async function deliverPendingCopies(rateLimitedUserIds) {
+  const links = stmts.getUndeliveredLinks.all();
+  if (links.length === 0) return;
+
+  log(`📬 [Deliver] ${links.length} downloaded book(s) still owed to linked users`);
+
+  let delivered = 0;
+  for (const link of links) {
+    const user = {
+      id: link.id,
+      name: link.name,
+      download_path: link.download_path,
+      email: link.email,
+      shelf: link.shelf,
+      naming_template: link.naming_template,
+      device_email: link.device_email,
+      device_formats: link.device_formats,
+      output_format: link.output_format,
+      notify_channels: link.notify_channels,
+    };
+    if (rateLimitedUserIds.has(user.id)) continue;
+
+    // Prefer an unconverted copy, so users who want a plain EPUB don't get someone else's KEPUB
+    const sources = [
+      link.store_path,
+      ...stmts.getDeliveredCopies.all(link.book_id).map((c) => c.delivered_path),
+    ].filter((p) => p && existsSync(p));
+    const sourcePath = sources.find((p) => bookExtension(p) !== '.kepub.epub') || sources[0];
+
+    if (!sourcePath) {
+      logWarn(`[Deliver] No existing copy of "${link.title}" on disk to deliver to ${user.name}`);
+      continue;
+    }
 
+    const outputs = new Map();
     try {
-      log(`🛡️  [Search] Sending request via FlareSolverr...`);
-      const searchStart = Date.now();
-
-      const response = await axios.post(FLARESOLVERR_URL, {
-        cmd: 'request.get',
-        url: searchUrl,
-        maxTimeout: 120000,
-      }, {
-        timeout: 150000, // Give FlareSolverr extra time beyond its own timeout
-        validateStatus: () => true, // Don't throw on 4xx/5xx - we handle it ourselves
-      });
-
-      const searchElapsed = ((Date.now() - searchStart) / 1000).toFixed(1);
-
-      if (response.status !== 200) {
-        const body = typeof response.data === 'string' ? response.data.substring(0, 500) : JSON.stringify(response.data).substring(0, 500);
-        logError(`[Search] FlareSolverr HTTP ${response.status} for ${domain} (${searchElapsed}s): ${body}`);
-        continue;
+      const book = { ...link, id: link.book_id };
+      const output = prepareUserOutput(user, book, { path: sourcePath, extension: bookExtension(sourcePath) }, outputs);
+      const { destPath, ownFolder } = resolveDestination(user, book, output.extension);
+      ensureDir(user.download_path, dirname(destPath));
+      const method = placeFile(output.path, destPath);
+      if (CALIBRE_SIDECARS) {
+        writeCalibreSidecars(destPath, book, await fetchCover(book), ownFolder);
       }
+      stmts.markDelivered.run(destPath, user.id, link.book_id);
+      log(`💾 [Deliver] Saved: ${destPath} (for ${user.name}, ${method} of ${sourcePath})`);
+      queueNotification(user, 'downloaded', book, { device: await deliverToDevice(user, book, destPath) });
+      delivered++;
+    } catch (err) {
+      logError(`[Deliver] Failed to deliver "${link.title}" to ${user.name}`, err);
+      continue;
+    } finally {
+      cleanupOutputs(outputs);
+    }
 
-      if (response.data.status !== 'ok') {
-        logError(`[Search] FlareSolverr returned status "${response.data.status}" for ${domain} (${searchElapsed}s). Message: ${response.data.message || 'none'}`);
-        continue;
-      }
-
-      const html = response.data.solution.response;
-      log(`🛡️  [Search] FlareSolverr responded OK (${searchElapsed}s, HTML: ${html.length} chars)`);
-
-      const $ = load(html);
-
-      // Check if the results container exists at all
-      const container = $('div.js-aarecord-list-outer');
-      if (container.length === 0) {
-        logWarn(`[Search] Results container (div.js-aarecord-list-outer) not found on page - page structure may have changed`);
-        continue;
-      }
-
-      // Results live inside div.js-aarecord-list-outer; each direct child div is one result
-      const resultDivs = container.children('div');
-
-      if (resultDivs.length === 0) {
-        log(`🔍 [Search] No results found on ${domain} for: "${query}"`);
-        continue;
-      }
+    const exhausted = findExhaustedQuota(user.id);
+    if (exhausted) {
+      rateLimitedUserIds.add(user.id);
+      log(
+        `🛑 [Deliver] User "${user.name}" has now reached their ${exhausted.period} quota (${exhausted.used}/${exhausted.limit}).`,
+      );
+    }
+  }
 
-      const toCheck = Math.min(resultDivs.length, MAX_RESULTS_TO_CHECK);
-      log(`🔍 [Search] Found ${resultDivs.length} result(s), checking top ${toCheck}...`);
+  log(`📬 [Deliver] Done: ${delivered} late delivery(ies)`);
+}
 
-      for (let r = 0; r < toCheck; r++) {
-        const el = $(resultDivs[r]);
+// --- QUEUE PROCESSING ---
 
-        // Title: the <a> with class js-vim-focus
-        const resultTitle = el.find('a.js-vim-focus').first().text().trim();
+async function processQueue() {
+  log('🔄 Processing queue...');
 
-        // Author: the <a> whose child span has the user-edit icon
-        const authorLink = el.find('span[class*="icon-[mdi--user-edit]"]').closest('a');
-        const resultAuthor = authorLink.text().trim();
+  // Log queue depth for visibility
+  const pendingCount = db
+    .prepare(`SELECT COUNT(*) as cnt FROM books WHERE status = 'pending' AND attempts < ?`)
+    .get(MAX_ATTEMPTS);
+  const waitingCount = db
+    .prepare(
+      `SELECT COUNT(*) as cnt FROM books WHERE status = 'pending' AND attempts < ? AND next_attempt_at > CURRENT_TIMESTAMP`,
+    )
+    .get(MAX_ATTEMPTS);
+  const failedCount = db.prepare(`SELECT COUNT(*) as cnt FROM books WHERE status = 'failed'`).get();
+  const researchCount = db
+    .prepare(`SELECT COUNT(*) as cnt FROM books WHERE status = 'failed' AND next_attempt_at IS NOT NULL`)
+    .get();
+  const reviewCount = db.prepare(`SELECT COUNT(*) as cnt FROM books WHERE status = 'needs_review'`).get();
+  const todayCount = countDownloadsToday();
+  log(
+    `📊 [Queue] ${pendingCount.cnt} pending (${waitingCount.cnt} waiting to retry), ${failedCount.cnt} permanently failed (${researchCount.cnt} searched again every ${NOT_FOUND_RETRY_DAYS} days), ${reviewCount.cnt} awaiting review, ${todayCount}/${MAX_DOWNLOADS_PER_DAY} downloaded today`,
+  );
 
-        // MD5: first <a> with href starting with /md5/
-        const md5Href = el.find('a[href^="/md5/"]').first().attr('href');
+  // Shared by the workers: counters for the summary, and users who hit a quota during the run
+  const run = {
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    needsReview: 0,
+    consecutiveTransient: 0,
+    configError: false,
+    rateLimitedUserIds: new Set(),
+  };
+  let skippedLimit = 0;
+  let alreadyOwned = 0;
+  const skippedBookIds = [];
 
-        if (!md5Href) {
-          logWarn(`[Search] Result #${r + 1}: no MD5 link found, skipping`);
-          continue;
-        }
+  // Check per-user quotas once upfront and log a single message per user at their limit
+  for (const user of stmts.getUsers.all()) {
+    const exhausted = findExhaustedQuota(user.id);
+    if (exhausted) {
+      run.rateLimitedUserIds.add(user.id);
+      log(
+        `🛑 [Queue] User "${user.name}" has reached their ${exhausted.period} quota (${exhausted.used}/${exhausted.limit}). Skipping their books.`,
+      );
+    }
+  }
 
-        const md5Match = md5Href.match(/\/md5\/([a-fA-F0-9]+)/);
-        if (!md5Match) {
-          logWarn(`[Search] Result #${r + 1}: could not parse MD5 from href "${md5Href}", skipping`);
-          continue;
-        }
+  // Hand out books that are already on disk before downloading anything new.
+  // These are copies, not downloads, so they don't count toward MAX_DOWNLOADS_PER_DAY.
+  await deliverPendingCopies(run.rateLimitedUserIds);
 
-        const md5 = md5Match[1];
+  // Check overall daily limit before starting
+  if (todayCount >= MAX_DOWNLOADS_PER_DAY) {
+    log(`🛑 [Queue] Daily download limit reached (${MAX_DOWNLOADS_PER_DAY}). Skipping queue until tomorrow.`);
+    return;
+  }
 
-        log(`  [Search] Result #${r + 1}/${toCheck}: "${resultTitle}" by ${resultAuthor || '?'} (md5: ${md5})`);
+  // Up to QUEUE_WORKERS books are worked on at once. Books in progress count toward
+  // the daily limit and their users' quotas until they finish.
+  const workers = new Set();
+  const inProgress = new Set(); // Book ids
+  const reserved = new Map(); // User id -> books in progress for them
 
-        if (isGoodMatch(expectedTitle, expectedAuthor, resultTitle, resultAuthor)) {
-          log(`  ✅ [Search] -> MATCH on result #${r + 1}`);
+  while (true) {
+    if (workers.size >= QUEUE_WORKERS) {
+      await Promise.race(workers);
+      continue;
+    }
 
-          if (AA_API_KEY) {
-            const url = `https://${domain}/fast_download/${md5}/0/0?key=${AA_API_KEY}`;
-            log(`  [Search] Using fast_download API: ${url.replace(AA_API_KEY, '***')}`);
-            return url;
-          }
+    if (run.configError) {
+      logError('[Queue] Configuration error (see the failure above) - stopping the queue until it is fixed');
+      break;
+    }
 
-          const url = `https://${domain}/md5/${md5}`;
-          log(`  [Search] No API key - returning detail page: ${url}`);
-          return url;
-        }
+    if (run.consecutiveTransient >= MAX_CONSECUTIVE_TRANSIENT_FAILURES) {
+      logWarn(
+        `[Queue] ${run.consecutiveTransient} transient failures in a row - the sources look unreachable, stopping the queue until the next run`,
+      );
+      break;
+    }
 
-        log(`  ❎ [Search] -> No match on result #${r + 1}`);
+    // Re-check overall daily limit before each book; one in progress may still fail and free its slot
+    const dailyCount = countDownloadsToday();
+    if (dailyCount + inProgress.size >= MAX_DOWNLOADS_PER_DAY) {
+      if (workers.size > 0) {
+        await Promise.race(workers);
+        continue;
       }
+      log(`🛑 [Queue] Daily download limit reached (${dailyCount}/${MAX_DOWNLOADS_PER_DAY}). Stopping queue.`);
+      break;
+    }
 
-      log(`🔍 [Search] None of the top ${toCheck} results matched "${expectedTitle}" by ${expectedAuthor || '?'} on ${domain}`);
+    // Get the next book that is due (pending, or a not-found book due for its periodic re-search)
+    // according to QUEUE_POLICY, excluding any we already skipped due to rate limits or are working on
+    const next = pickNextBook([...skippedBookIds, ...inProgress], run.rateLimitedUserIds);
 
-    } catch (err) {
-      logError(`[Search] Failed on ${domain}`, err);
-      if (err.code) log(`[Search] Error code: ${err.code}`);
-      if (err.response) log(`[Search] HTTP status: ${err.response.status}`);
+    if (!next) {
+      break;
+    }
+    const { job } = next;
+    log(`🎯 [Queue] Picked "${job.title}" by ${next.reason}`);
+
+    // Users who already have this book on disk (e.g. after a database reset) don't need it downloaded
+    const allLinkedUsers = stmts.getUsersForBook.all(job.id);
+    const ownedCopies = new Map(); // User id -> their copy on disk
+    for (const user of allLinkedUsers) {
+      const owned = findOwnedCopy(user, job);
+      if (owned) ownedCopies.set(user.id, owned);
+    }
+    for (const user of allLinkedUsers) {
+      if (ownedCopies.has(user.id)) markOwnedCopy(user, job, ownedCopies.get(user.id));
+    }
+    const linkedUsers = allLinkedUsers.filter((user) => !ownedCopies.has(user.id));
+
+    if (allLinkedUsers.length > 0 && linkedUsers.length === 0) {
+      // books.file_path is relative to the download_path of the user whose copy it is
+      const firstUser = allLinkedUsers[0];
+      stmts.markAlreadyOwned.run(relative(firstUser.download_path, ownedCopies.get(firstUser.id).path), job.id);
+      log(`📚 [Queue] Skipping "${job.title}" - every linked user already has it`);
+      alreadyOwned++;
       continue;
     }
-  }
-
-  log(`🔍 [Search] Exhausted all ${AA_DOMAINS.length} domain(s) - book not found`);
-  return null;
-}
 
-// --- DOWNLOAD ---
+    // Check per-user quotas: only proceed if at least one linked user has quota left
+    // after the books already in progress for them
+    const eligibleUsers = linkedUsers.filter(
+      (u) => !run.rateLimitedUserIds.has(u.id) && quotaLeft(u.id) > (reserved.get(u.id) || 0),
+    );
 
-const CHROMIUM_PATH = process.env.CHROMIUM_PATH || '/usr/bin/chromium-browser';
-
-async function applyStealthPatches(page) {
-  await page.evaluateOnNewDocument(() => {
-    /* eslint-disable no-undef -- runs in browser context via Puppeteer */
-    Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-    Object.defineProperty(navigator, 'plugins', {
-      get: () => [1, 2, 3, 4, 5],
-    });
-    Object.defineProperty(navigator, 'languages', {
-      get: () => ['en-US', 'en'],
-    });
-    window.chrome = { runtime: {}, loadTimes: () => {}, csi: () => {} };
-    const origQuery = window.navigator.permissions.query.bind(window.navigator.permissions);
-    window.navigator.permissions.query = (params) =>
-      params.name === 'notifications'
-        ? Promise.resolve({ state: Notification.permission })
-        : origQuery(params);
-    /* eslint-enable no-undef */
-  });
-  await page.setUserAgent(
-    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  );
-  await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
-}
-
-async function waitForCloudflare(page, timeoutMs = 60000) {
-  const startTime = Date.now();
-  while (Date.now() - startTime < timeoutMs) {
-    const title = await page.title().catch(() => '');
-    if (title.includes('Just a moment') || title.includes('Checking') || title.includes('Attention Required')) {
-      log('🌐 [BrowserDL] Cloudflare challenge detected, waiting...');
-      await sleep(3000);
+    if (eligibleUsers.length === 0) {
+      skippedBookIds.push(job.id);
+      skippedLimit++;
       continue;
     }
-    // Real page loaded — challenge is solved (or was never shown)
-    return;
-  }
-  throw new Error('Cloudflare challenge did not resolve within timeout');
-}
 
-async function downloadWithBrowser(url, downloadDir, timeoutMs = 300000) {
-  log('🌐 [BrowserDL] Launching Chromium...');
-  const browser = await launch({
-    executablePath: CHROMIUM_PATH,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--no-first-run',
-      '--disable-blink-features=AutomationControlled',
-    ],
-    headless: 'new',
-  });
+    inProgress.add(job.id);
+    for (const user of eligibleUsers) reserved.set(user.id, (reserved.get(user.id) || 0) + 1);
 
-  try {
-    const page = await browser.newPage();
-    await applyStealthPatches(page);
-    page.setDefaultTimeout(timeoutMs);
-
-    // Step 1: Visit the site root to solve any Cloudflare challenge
-    const urlObj = new URL(url);
-    const baseUrl = `${urlObj.protocol}//${urlObj.host}/`;
-    log(`🌐 [BrowserDL] Solving Cloudflare challenge at ${baseUrl}...`);
-    await page.goto(baseUrl, { timeout: 120000, waitUntil: 'domcontentloaded' });
-    await waitForCloudflare(page);
-
-    log('🌐 [BrowserDL] Cloudflare passed');
-
-    // Step 2: Log into Anna's Archive using the API key (which is the AA "secret key")
-    if (!AA_API_KEY) throw new Error('AA_API_KEY is not set — cannot log in to Anna\'s Archive');
-
-    log('🌐 [BrowserDL] Logging into Anna\'s Archive...');
-    await page.goto(`${baseUrl}account`, { timeout: 60000, waitUntil: 'domcontentloaded' });
-    await waitForCloudflare(page);
-
-    await page.waitForSelector('input[name="key"]', { timeout: 15000 });
-    await page.type('input[name="key"]', AA_API_KEY, { delay: 30 });
-    await Promise.all([
-      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 30000 }),
-      page.$eval('input[name="key"]', el => el.closest('form').querySelector('button[type="submit"]').click()),
-    ]);
-
-    const postLoginUrl = page.url();
-    if (postLoginUrl.includes('/account')) {
-      log('🌐 [BrowserDL] Logged in successfully');
-    } else {
-      logWarn(`[BrowserDL] Login may have failed — landed on: ${postLoginUrl}`);
-    }
+    const worker = withLogTag(`book ${job.id}`, () => processBook(job, linkedUsers, eligibleUsers, run))
+      .catch((err) => logError(`[Queue] Unexpected error while processing "${job.title}"`, err))
+      .finally(() => {
+        inProgress.delete(job.id);
+        for (const user of eligibleUsers) reserved.set(user.id, reserved.get(user.id) - 1);
+        workers.delete(worker);
+      });
+    workers.add(worker);
+  }
 
-    // Step 3: Navigate to the download URL. The server redirects to a CDN on a
-    // different domain, so fetch() fails (CORS). Browser navigation handles
-    // cross-origin redirects natively and triggers Chrome's download behavior.
-    const client = await page.createCDPSession();
-    await client.send('Page.setDownloadBehavior', {
-      behavior: 'allow',
-      downloadPath: downloadDir,
-    });
+  // Let the books in progress finish
+  await Promise.all(workers);
 
-    const filesBefore = new Set(readdirSync(downloadDir));
+  if (run.processed === 0 && skippedLimit === 0 && alreadyOwned === 0) {
+    log('😴 [Queue] Queue empty. Nothing to process.');
+  } else {
+    log(
+      `📊 [Queue] Done: ${run.succeeded} succeeded, ${run.failed} failed, ${run.needsReview} sent to review, ${skippedLimit} skipped (rate limit), ${alreadyOwned} already on disk`,
+    );
+  }
+}
 
-    log('🌐 [BrowserDL] Navigating to download URL...');
-    page.goto(url, { timeout: timeoutMs, waitUntil: 'load' }).catch(() => {});
+/**
+ * Search for one book, download it and deliver it to the eligible users, or
+ * record why that failed and schedule the next attempt. Runs in a queue worker,
+ * alongside other books.
+ *
+ * @param {object} job - The books row
+ * @param {object[]} linkedUsers - Users who want the book and don't have it yet
+ * @param {object[]} eligibleUsers - Those of them within their quotas, who get it now
+ * @param {object} run - processQueue()'s shared counters and rate-limited users
+ */
+async function processBook(job, linkedUsers, eligibleUsers, run) {
+  // Build search query: strip series info like "(Culture, #3)" - it's noise for search
+  const cleanTitle = (job.title || '').replace(/\(.*?\)/g, '').trim();
+  const searchTerm = [cleanTitle, job.author].filter(Boolean).join(' ').trim();
+  const isResearch = job.status === 'failed';
+  log(
+    `📖 [Queue] Processing: "${job.title}" by ${job.author || '?'} (search: "${searchTerm}"${job.isbn ? `, isbn: ${job.isbn}` : ''}, ${isResearch ? 'periodic re-search' : `attempt ${job.attempts + 1}/${MAX_ATTEMPTS}`}, book_id: ${job.id})`,
+  );
 
-    const dlStart = Date.now();
-    let downloadedPath = null;
+  const jobStart = Date.now();
+  const trace = { sources: new Set(), candidates: [], errors: [] }; // Filled in by findBook() for book_attempts
+  let candidate = null;
+  let tempPath = null;
+  const outputs = new Map(); // Per-user conversions of this book (e.g. KEPUB), made once
 
-    while (Date.now() - dlStart < timeoutMs) {
-      await sleep(3000);
+  try {
+    // Increment attempts immediately so we don't loop on crash
+    stmts.incrementAttempts.run(job.id);
 
-      const filesNow = readdirSync(downloadDir);
-      const newFiles = filesNow.filter(f => !filesBefore.has(f));
-      const inProgress = newFiles.filter(f => f.endsWith('.crdownload'));
-      const completed = newFiles.filter(f => !f.endsWith('.crdownload'));
+    if (!searchTerm && !job.isbn) {
+      throw attemptError('not_found', 'No title, author or ISBN available to search');
+    }
 
-      if (completed.length > 0) {
-        const candidate = join(downloadDir, completed[0]);
-        const size1 = statSync(candidate).size;
-        await sleep(2000);
-        const size2 = statSync(candidate).size;
-        if (size1 === size2 && size1 > 0) {
-          downloadedPath = candidate;
-          break;
-        }
-      }
+    if (job.approved_candidate || job.approved_md5) {
+      // 1. A human picked this candidate in the review queue - skip the search
+      // (approved_md5 is from before providers: always an Anna's Archive md5)
+      candidate = job.approved_candidate
+        ? JSON.parse(job.approved_candidate)
+        : { provider: 'annas-archive', id: job.approved_md5 };
+      log(`⬇️  [Queue] Fetching approved candidate from ${candidate.provider} (id: ${candidate.id})`);
+    } else {
+      // 1. SEARCH the providers (ISBN first if known, then fuzzy match against title + author)
+      const rejectedIds = JSON.parse(job.rejected_md5s || '[]');
+      const { formats, languages } = combinePreferences(linkedUsers);
+      const match = await findBook({ ...job, query: searchTerm }, { rejectedIds, formats, languages }, trace);
 
-      if (inProgress.length > 0) {
-        const crPath = join(downloadDir, inProgress[0]);
-        const crSize = statSync(crPath).size;
-        log(`🌐 [BrowserDL] Downloading... ${(crSize / 1024 / 1024).toFixed(1)} MB so far`);
-        continue;
+      if (!match) {
+        throw attemptError('not_found', 'Book not found in any source');
       }
 
-      if (Date.now() - dlStart > 90000) {
-        const currentUrl = page.url();
-        const title = await page.title().catch(() => '');
-        const bodyText = await page.evaluate(() =>
-          // eslint-disable-next-line no-undef -- runs in browser context via Puppeteer
-          (document.body?.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 500)
-        ).catch(() => '');
-        throw new Error(
-          `No download started after 90s. URL: ${currentUrl}, Title: "${title}". Content: ${bodyText}`
+      // Keep the winning score and the runners-up on the book so bad matches can be audited
+      const candidates = JSON.stringify(
+        match.candidates.map(({ provider, id, title, author, format, domain, score }) => ({
+          provider,
+          id,
+          title,
+          author,
+          format,
+          domain,
+          score,
+        })),
+      );
+
+      if (match.needsReview) {
+        stmts.markNeedsReview.run(match.score, candidates, job.id);
+        log(
+          `🧐 [Queue] NEEDS REVIEW: "${job.title}" by ${job.author || '?'} - best candidate scored ${formatScore(match.score)}, too close to call (review with: node db/review.js list)`,
         );
+        for (const user of linkedUsers) {
+          queueNotification(user, 'needs_attention', job, {
+            reason: `best match scored ${formatScore(match.score)} - waiting for review`,
+          });
+        }
+        recordAttempt(job, jobStart, searchTerm, trace, match.candidates[0], 'needs_review');
+        stmts.clearRetry.run(job.id);
+        run.consecutiveTransient = 0;
+        run.needsReview++;
+        run.processed++;
+        return;
       }
-    }
 
-    if (!downloadedPath) {
-      throw new Error('Browser download timed out');
+      stmts.recordMatch.run(match.score, candidates, job.id);
+      candidate = match.candidate;
+      log(
+        `⬇️  [Queue] Matched via ${match.provider} (${match.strategy} search, ${match.format}, score ${formatScore(match.score)})`,
+      );
     }
 
-    const size = statSync(downloadedPath).size;
-    log(`🌐 [BrowserDL] Complete: ${basename(downloadedPath)} (${(size / 1024 / 1024).toFixed(2)} MB)`);
-    return downloadedPath;
-  } finally {
-    await browser.close();
-    log('🌐 [BrowserDL] Browser closed');
-  }
-}
+    // 2. FETCH the file from the provider that has it
+    const provider = getProvider(candidate.provider);
+    if (!provider) {
+      throw new Error(`Unknown provider "${candidate.provider}"`);
+    }
+    const fetched = await provider.fetch(candidate, job);
+    tempPath = fetched.filePath;
+    const { extension } = fetched;
 
-async function downloadBook(url, job) {
-  const tempDir = join(dirname(DB_PATH), 'tmp');
-  mkdirSync(tempDir, { recursive: true });
+    // Reject truncated archives and error pages before anyone gets them
+    if (extension === '.epub') {
+      try {
+        validateEpub(tempPath, job);
+      } catch (validationErr) {
+        throw attemptError('bad_file', validationErr.message, validationErr);
+      }
 
-  const safeTitle = sanitizeFilename(`${job.author || 'Unknown'} - ${job.title || 'Unknown'}`);
+      // Not fatal: a book with its original metadata is better than no book
+      if (REWRITE_EPUB_METADATA) {
+        try {
+          rewriteEpubMetadata(tempPath, job);
+        } catch (metaErr) {
+          logWarn(`[Metadata] Could not rewrite metadata, keeping the original: ${metaErr.message}`);
+        }
+      }
+    }
 
-  if (url.includes('/fast_download/')) {
-    // Cloudflare's cf_clearance cookie is bound to the TLS fingerprint (JA3) of the
-    // solving client. Node.js has a completely different JA3 than Chrome, so passing
-    // FlareSolverr cookies to axios always results in a 403. Use a real browser instead.
-    log('🌐 [Download] Using browser download for fast_download URL...');
-    const dlStart = Date.now();
+    // 3. COPY (or hardlink from the store) to eligible users' download folders (skip users at their daily limit)
+    // Each user's naming template decides the path; books.file_path keeps the first one written
+    let sourcePath = tempPath;
+    if (isHardlinkMode()) {
+      sourcePath = addToStore(tempPath, extension);
+      stmts.setStorePath.run(sourcePath, job.id);
+    }
+    log(`📂 [Queue] Placing "${job.title}" in ${eligibleUsers.length} user folder(s) (${STORAGE_MODE})...`);
+    let filePath = null;
+    const cover = CALIBRE_SIDECARS ? await fetchCover(job) : null;
+    const delivered = []; // Users who got a copy
+    const deviceResults = new Map(); // userId -> send-to-e-reader result
+    let placeErr = null;
+
+    // One user's bad folder or template shouldn't fail the book for everyone: users
+    // who don't get a copy here stay undelivered and the delivery step retries them
+    for (const user of eligibleUsers) {
+      try {
+        const output = prepareUserOutput(user, job, { path: sourcePath, extension }, outputs);
+        const { destPath, relPath, ownFolder } = resolveDestination(user, job, output.extension);
 
-    const downloadedPath = await downloadWithBrowser(url, tempDir);
+        ensureDir(user.download_path, dirname(destPath));
+        const method = placeFile(output.path, destPath);
+        if (CALIBRE_SIDECARS) {
+          writeCalibreSidecars(destPath, job, cover, ownFolder);
+        }
+        stmts.markDelivered.run(destPath, user.id, job.id);
+        delivered.push(user);
+        filePath ??= relPath;
+        log(`💾 [Queue] Saved: ${destPath} (for ${user.name}, shelf: ${user.shelf || '?'}, ${method})`);
+        deviceResults.set(user.id, await deliverToDevice(user, job, destPath));
+      } catch (userErr) {
+        logError(`[Queue] Failed to place "${job.title}" for ${user.name}`, userErr);
+        placeErr = userErr;
+      }
+    }
 
-    const stats = statSync(downloadedPath);
-    const dlElapsed = ((Date.now() - dlStart) / 1000).toFixed(1);
-    log(`⬇️  [Download] Completed: ${(stats.size / 1024 / 1024).toFixed(2)} MB in ${dlElapsed}s`);
+    // Nobody got a copy: fail the book so it's downloaded again later
+    if (delivered.length === 0 && placeErr) {
+      throw placeErr;
+    }
 
-    if (stats.size < 1024) {
-      const content = readFileSync(downloadedPath, 'utf-8');
-      unlinkSync(downloadedPath);
-      throw new Error(`Downloaded file too small (${stats.size} bytes), likely an error page: ${content.substring(0, 300)}`);
+    // 4. Mark as downloaded
+    stmts.markDownloaded.run(filePath, provider.name, job.id);
+    const elapsed = ((Date.now() - jobStart) / 1000).toFixed(1);
+    log(`✅ [Queue] SUCCESS: "${job.title}" by ${job.author || '?'} from ${provider.name} (${elapsed}s)`);
+    recordAttempt(job, jobStart, searchTerm, trace, candidate, 'downloaded');
+    stmts.clearRetry.run(job.id);
+    run.consecutiveTransient = 0;
+    run.succeeded++;
+
+    // Queue a notification for each user who received it.
+    // Linked users skipped at their daily limit (or whose copy failed) get one from the delivery step later.
+    for (const user of delivered) {
+      queueNotification(user, 'downloaded', job, { device: deviceResults.get(user.id) });
     }
 
-    const extension = extname(downloadedPath).toLowerCase() || '.epub';
-    const tempPath = join(tempDir, `${safeTitle}${extension}`);
-    if (downloadedPath !== tempPath) {
-      if (existsSync(tempPath)) unlinkSync(tempPath);
-      renameSync(downloadedPath, tempPath);
+    // Refresh per-user quotas — a user may have just hit their cap
+    for (const user of delivered) {
+      if (!run.rateLimitedUserIds.has(user.id)) {
+        const exhausted = findExhaustedQuota(user.id);
+        if (exhausted) {
+          run.rateLimitedUserIds.add(user.id);
+          log(
+            `🛑 [Queue] User "${user.name}" has now reached their ${exhausted.period} quota (${exhausted.used}/${exhausted.limit}).`,
+          );
+        }
+      }
+    }
+  } catch (err) {
+    const elapsed = ((Date.now() - jobStart) / 1000).toFixed(1);
+    const errorClass = recordAttempt(job, jobStart, searchTerm, trace, candidate, 'failed', err);
+    logError(
+      `[Queue] FAILED (${errorClass}): "${job.title}" by ${job.author || '?'} (${isResearch ? 're-search' : `attempt ${job.attempts + 1}/${MAX_ATTEMPTS}`}, ${elapsed}s)`,
+      err,
+    );
+
+    const transient = TRANSIENT_ERROR_CLASSES.includes(errorClass);
+    if (transient && job.transient_failures >= MAX_TRANSIENT_FAILURES) {
+      log(
+        `🔁 [Queue] "${job.title}" already had ${job.transient_failures} uncounted failures - this ${errorClass} failure counts toward the attempt limit`,
+      );
     }
 
-    return { filePath: tempPath, extension };
+    if (errorClass === 'config_error') {
+      // Every book would fail the same way until the setup is fixed - not the book's fault,
+      // so give the attempt back and leave it due for the next run
+      run.configError = true;
+      stmts.refundAttempt.run(errorClass, job.id);
+      log(`🔁 [Queue] ${errorClass} doesn't count toward the attempt limit - "${job.title}" stays in the queue`);
+    } else if (transient && job.transient_failures < MAX_TRANSIENT_FAILURES) {
+      // Not the book's fault (e.g. FlareSolverr is down): give the attempt back and try again later
+      const delay = retryDelayMinutes(job.transient_failures + 1);
+      stmts.scheduleTransientRetry.run(`+${delay} minutes`, errorClass, job.id);
+      log(
+        `🔁 [Queue] ${errorClass} doesn't count toward the attempt limit - will retry "${job.title}" in ${formatDelay(delay)}`,
+      );
+      run.consecutiveTransient++;
+    } else if (isResearch) {
+      stmts.scheduleRetry.run(`+${NOT_FOUND_RETRY_DAYS} days`, errorClass, job.id);
+      log(`🔁 [Queue] Still no luck with "${job.title}" - will search again in ${NOT_FOUND_RETRY_DAYS} days`);
+    } else if (job.attempts + 1 >= MAX_ATTEMPTS) {
+      // Mark as failed once attempts are exhausted. Books nobody had are searched again now and then, since new uploads appear.
+      const research = errorClass === 'not_found' && NOT_FOUND_RETRY_DAYS > 0;
+      logWarn(
+        `[Queue] Permanently failed after ${MAX_ATTEMPTS} attempts: "${job.title}" by ${job.author || '?'}${research ? ` - will search again in ${NOT_FOUND_RETRY_DAYS} days` : ''}`,
+      );
+      stmts.markFailed.run(job.id);
+      stmts.scheduleRetry.run(research ? `+${NOT_FOUND_RETRY_DAYS} days` : null, errorClass, job.id); // datetime('now', NULL) is NULL: no re-search
+      for (const user of linkedUsers) {
+        queueNotification(user, 'failed', job, { reason: err.message });
+      }
+    } else {
+      const delay = retryDelayMinutes(job.attempts + 1);
+      stmts.scheduleRetry.run(`+${delay} minutes`, errorClass, job.id);
+      log(
+        `🔁 [Queue] Will retry "${job.title}" in ${formatDelay(delay)} (${MAX_ATTEMPTS - job.attempts - 1} attempt(s) remaining)`,
+      );
+    }
+    if (!transient) run.consecutiveTransient = 0;
+    run.failed++;
+  } finally {
+    // Clean up temp files, whether or not the book made it
+    cleanupOutputs(outputs);
+    if (tempPath && existsSync(tempPath)) {
+      try {
+        unlinkSync(tempPath);
+      } catch (cleanupErr) {
+        logWarn(`[Queue] Could not delete temp file ${tempPath}: ${cleanupErr.message}`);
+      }
+    }
   }
 
-  // Non-fast_download URLs: stream download with axios
-  log(`⬇️  [Download] Starting stream download (5 min timeout)...`);
-  const dlStart = Date.now();
+  run.processed++;
+}
 
-  const response = await axios.get(url, {
-    responseType: 'stream',
-    timeout: 300000,
-    maxRedirects: 10,
-  });
+// --- SEARCH ---
 
-  const contentType = response.headers['content-type'] || 'unknown';
-  const contentLength = response.headers['content-length'] || 'unknown';
-  const disposition = response.headers['content-disposition'] || 'none';
-  log(`[Download] Response: status=${response.status}, content-type=${contentType}, content-length=${contentLength}, content-disposition=${disposition}`);
+/**
+ * Combine the search preferences of every user linked to a book. Formats are
+ * ordered by the best position any user gives them (ties keep first-seen
+ * order), so everyone's first choice is tried before anyone's fallback.
+ * Languages are the union of all users' languages; "any" from any user
+ * drops the language filter altogether.
+ */
+function combinePreferences(users) {
+  const formatRank = new Map();
+  const languages = new Set();
 
-  const extension = getFileExtension(response);
-  log(`[Download] Determined file extension: ${extension}`);
+  for (const user of users) {
+    parseList(user.formats, DEFAULT_FORMATS).forEach((format, i) => {
+      if (!formatRank.has(format) || i < formatRank.get(format)) formatRank.set(format, i);
+    });
+    parseList(user.languages, DEFAULT_LANGUAGES).forEach((lang) => languages.add(lang));
+  }
 
-  const tempPath = join(tempDir, `${safeTitle}${extension}`);
+  const formats = [...formatRank.keys()].sort((a, b) => formatRank.get(a) - formatRank.get(b));
+  return {
+    formats: formats.length > 0 ? formats : DEFAULT_FORMATS,
+    languages: languages.has('any') ? [] : users.length > 0 ? [...languages] : DEFAULT_LANGUAGES,
+  };
+}
 
-  const writer = createWriteStream(tempPath);
-  await pipeline(response.data, writer);
+/**
+ * Search every configured provider (in PROVIDERS order) for a book, scoring
+ * and ranking each batch of results against the expected title/author from
+ * Goodreads. The first best candidate that clears its threshold by more than
+ * MATCH_REVIEW_MARGIN wins.
+ *
+ * A best candidate within MATCH_REVIEW_MARGIN of the threshold (just above or
+ * just below) is too close to call: if no provider finds a clear winner, the
+ * most convincing borderline result is flagged `needsReview` so a human can
+ * decide.
+ *
+ * @param {object} book - The books row plus `query` (cleaned "title author")
+ * @param {object} options
+ * @param {string[]} options.rejectedIds - Candidates a reviewer already rejected
+ * @param {string[]} options.formats     - File formats in preference order
+ * @param {string[]} options.languages   - Acceptable languages (empty = any)
+ * @param {object} [trace] - Collects what was searched, for book_attempts: the
+ *   `sources` (Set), every ranked candidate seen and the failed searches' `errors`
+ * @returns {{ candidate?: object, needsReview?: boolean, provider: string, strategy: string, format: string, score: number, candidates: object[] }|null}
+ *   The winning candidate (or needsReview), where it came from, the best
+ *   score and all ranked candidates (best first), or null if not found.
+ *   Throws (see searchFailedError) if every search request failed.
+ */
+async function findBook(
+  book,
+  { rejectedIds, formats, languages },
+  trace = { sources: new Set(), candidates: [], errors: [] },
+) {
+  const providers = getProviders();
+  let borderline = null;
+  let answered = 0;
+
+  for (const provider of providers) {
+    log(`📚 [Search] Provider: ${provider.name}`);
+
+    for await (const attempt of provider.searches(book, { formats, languages })) {
+      trace.sources.add(attempt.source);
+      if (!attempt.results) {
+        if (attempt.error) trace.errors.push(attempt.error);
+        continue;
+      }
+      answered++;
 
-  const stats = statSync(tempPath);
-  const dlElapsed = ((Date.now() - dlStart) / 1000).toFixed(1);
-  log(`⬇️  [Download] Completed: ${(stats.size / 1024 / 1024).toFixed(2)} MB in ${dlElapsed}s -> ${tempPath}`);
+      const candidates = attempt.results
+        .map((r) => ({ ...r, provider: provider.name }))
+        .filter((r) => !rejectedIds.includes(r.id));
+      if (candidates.length < attempt.results.length) {
+        log(`🔍 [Search] Ignoring ${attempt.results.length - candidates.length} result(s) rejected in review`);
+      }
 
-  if (stats.size < 1024) {
-    const content = readFileSync(tempPath, 'utf-8');
-    unlinkSync(tempPath);
-    throw new Error(`Downloaded file too small (${stats.size} bytes), likely an error page: ${content.substring(0, 300)}`);
-  }
+      if (candidates.length === 0) {
+        log(`🔍 [Search] No results found on ${attempt.source} (${attempt.strategy}, ${attempt.format})`);
+        continue;
+      }
 
-  return { filePath: tempPath, extension };
-}
+      const ranked = rankCandidates(book.title, book.author, candidates);
+      trace.candidates.push(...ranked);
+      const best = ranked[0];
+      const found = {
+        provider: provider.name,
+        strategy: attempt.strategy,
+        format: attempt.format,
+        score: best.score,
+        candidates: ranked,
+      };
+
+      if (best.score >= attempt.threshold + MATCH_REVIEW_MARGIN) {
+        log(
+          `  ✅ [Search] -> Best match: "${best.title}" by ${best.author || '?'} (id: ${best.id}, score ${formatScore(best.score)}, provider: ${provider.name}, strategy: ${attempt.strategy}, format: ${attempt.format})`,
+        );
+        if (ranked.length > 1) {
+          log(`  [Search] Runner-up: "${ranked[1].title}" (score ${formatScore(ranked[1].score)})`);
+        }
+        return { ...found, candidate: best };
+      }
+
+      if (best.score >= attempt.threshold - MATCH_REVIEW_MARGIN) {
+        log(
+          `🧐 [Search] Best of ${ranked.length} result(s) scored ${formatScore(best.score)}, within ${formatScore(MATCH_REVIEW_MARGIN)} of the ${formatScore(attempt.threshold)} threshold - too close to call`,
+        );
+        const margin = best.score - attempt.threshold;
+        if (!borderline || margin > borderline.margin) {
+          borderline = { result: found, margin };
+        }
+        continue;
+      }
 
-function getFileExtension(response) {
-  // Try Content-Disposition header first
-  const disposition = response.headers['content-disposition'];
-  if (disposition) {
-    const filenameMatch = disposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
-    if (filenameMatch) {
-      const filename = filenameMatch[1].replace(/['"]/g, '');
-      const ext = extname(filename);
-      if (ext) return ext;
+      log(
+        `🔍 [Search] Best of ${ranked.length} result(s) scored ${formatScore(best.score)} < ${formatScore(attempt.threshold)} for "${book.title}" by ${book.author || '?'} on ${attempt.source}`,
+      );
     }
   }
 
-  // Try Content-Type header
-  const contentType = response.headers['content-type'];
-  const typeMap = {
-    'application/epub+zip': '.epub',
-    'application/epub': '.epub',
-    'application/pdf': '.pdf',
-    'application/x-mobipocket-ebook': '.mobi',
-    'application/vnd.amazon.ebook': '.azw3',
-    'application/x-cbz': '.cbz',
-    'application/x-cbr': '.cbr',
-    'application/zip': '.zip',
-  };
-
-  if (contentType) {
-    for (const [type, ext] of Object.entries(typeMap)) {
-      if (contentType.includes(type)) return ext;
-    }
+  if (borderline) {
+    log(`🧐 [Search] No clear match - sending ${borderline.result.candidates.length} candidate(s) to manual review`);
+    return { ...borderline.result, needsReview: true };
   }
 
-  // Try the URL path
-  try {
-    const urlPath = new URL(response.config.url || response.request.path).pathname;
-    const ext = extname(urlPath);
-    if (ext && ext.length <= 6) return ext;
-  } catch (e) { /* ignore */
-    void e;
+  // Nothing answered at all: the sources are down or blocking us, which says nothing about the book
+  if (answered === 0 && trace.errors.length > 0) {
+    throw searchFailedError(trace.errors);
   }
 
-  // Default to epub
-  return '.epub';
+  log(`🔍 [Search] Exhausted all ${providers.length} provider(s) - book not found`);
+  return null;
 }
 
 // --- RUN CYCLE ---
@@ -764,15 +1045,10 @@ async function runCycle(trigger) {
 
   try {
     await syncRSS();
-    const downloadedPerUser = await processQueue();
+    await processQueue();
 
-    // Send email notifications to users who had books downloaded this cycle
-    if (downloadedPerUser && downloadedPerUser.size > 0) {
-      log(`📧 [Email] Sending notifications to ${downloadedPerUser.size} user(s)...`);
-      for (const { user, books } of downloadedPerUser.values()) {
-        await sendDownloadNotification(user, books);
-      }
-    }
+    // Send this cycle's notifications, and retry any that failed before (or were queued before a crash)
+    await sendPendingNotifications();
   } catch (err) {
     logError(`Cycle failed (trigger: ${trigger})`, err);
   }
@@ -788,18 +1064,58 @@ log('🚀 === goodreads-sync service starting ===');
 log(`  📁 DB_PATH:        ${DB_PATH}`);
 log(`  ⏰ CRON_SCHEDULE:  ${CRON_SCHEDULE}`);
 log(`  🛡️ FLARESOLVERR:   ${FLARESOLVERR_URL}`);
+log(`  📚 PROVIDERS:      ${describeProviders()}`);
 log(`  🌐 AA_DOMAINS:     ${AA_DOMAINS.join(', ')}`);
-log(`  🔑 AA_API_KEY:     ${AA_API_KEY ? `***${  AA_API_KEY.slice(-4)}` : 'NOT SET'}`);
-log(`  🔁 MAX_ATTEMPTS:   ${MAX_ATTEMPTS}`);
-log(`  ⏱️ COOLDOWN:       ${QUEUE_COOLDOWN_MS}ms`);
-log(`  📊 DAILY_LIMIT:    ${MAX_DOWNLOADS_PER_DAY} overall, ${MAX_DOWNLOADS_PER_USER_PER_DAY} per user`);
+log(`  🔑 AA_API_KEY:     ${AA_API_KEY ? `***${AA_API_KEY.slice(-4)}` : 'NOT SET'}`);
+log(
+  `  🔁 MAX_ATTEMPTS:   ${MAX_ATTEMPTS} (backoff from ${formatDelay(RETRY_BASE_MINUTES)}; up to ${MAX_TRANSIENT_FAILURES} transient failures per book don't count, ${MAX_CONSECUTIVE_TRANSIENT_FAILURES} in a row stop the run; not-found books searched again ${NOT_FOUND_RETRY_DAYS > 0 ? `every ${NOT_FOUND_RETRY_DAYS} days` : 'never'})`,
+);
+log(`  📄 MAX_RSS_PAGES:  ${MAX_RSS_PAGES}`);
+log(`  📘 DEFAULTS:       formats ${DEFAULT_FORMATS.join(', ')}; languages ${DEFAULT_LANGUAGES.join(', ') || 'any'}`);
+log(`  📛 NAMING:         ${NAMING_TEMPLATE}`);
+log(`  🗃️ STORAGE:        ${STORAGE_MODE}${isHardlinkMode() ? ` (store: ${STORE_PATH})` : ''}`);
+log(`  📇 CALIBRE:        ${CALIBRE_SIDECARS ? 'write metadata.opf + cover.jpg' : 'off'}`);
+log(
+  `  📡 OPDS_SERVER:    ${OPDS_SERVER_PORT ? `port ${OPDS_SERVER_PORT} (${stmts.getUsers.all().filter((u) => u.opds_token).length} user(s) with a token)` : 'off'}`,
+);
+log(
+  `  📱 DEVICES:        ${DEVICE_DEFAULT_FORMATS.join(', ')} up to ${DEVICE_MAX_ATTACHMENT_MB} MB (${stmts.getUsers.all().filter((u) => u.device_email).length} user(s) with a device)`,
+);
+log(
+  `  🔔 NOTIFY:         ${describeNotifiers()} (${stmts.getUsers.all().filter((u) => u.notify_channels).length} user(s) with their own channels, the rest get email)`,
+);
+log(`  🏷️ METADATA:       ${REWRITE_EPUB_METADATA ? 'rewrite from Goodreads' : 'keep original'}`);
+log(`  🎯 QUEUE_POLICY:   ${getQueuePolicy()}`);
+log(
+  `  👷 WORKERS:        ${QUEUE_WORKERS} (same site: at most ${DOMAIN_CONCURRENCY} at once, ${DOMAIN_DELAY_MS}ms apart)`,
+);
+log(
+  `  📊 DAILY_LIMIT:    ${MAX_DOWNLOADS_PER_DAY} overall, ${MAX_DOWNLOADS_PER_USER_PER_DAY} per user (unless set per user; days start at midnight ${Intl.DateTimeFormat().resolvedOptions().timeZone})`,
+);
 log(`  📧 SMTP:           ${SMTP_FROM ? `${SMTP_HOST}:${SMTP_PORT} (from: ${SMTP_FROM})` : 'NOT CONFIGURED'}`);
-log(`  👥 USERS:          ${stmts.getUsers.all().map(u => u.name).join(', ')}`);
+log(
+  `  👥 USERS:          ${stmts.getUsers
+    .all()
+    .map((u) => u.name)
+    .join(', ')}`,
+);
+
+if (!QUEUE_POLICIES.includes(QUEUE_POLICY)) {
+  logWarn(`⚠️ Unknown QUEUE_POLICY "${QUEUE_POLICY}" - using ${getQueuePolicy()}. Valid: ${QUEUE_POLICIES.join(', ')}`);
+}
+
+if (!STORAGE_MODES.includes(STORAGE_MODE)) {
+  logWarn(`⚠️ Unknown STORAGE_MODE "${STORAGE_MODE}" - using copy. Valid: ${STORAGE_MODES.join(', ')}`);
+}
 
 if (!AA_API_KEY) {
   logWarn('⚠️ AA_API_KEY not set. Downloads will not work via fast_download API.');
 }
 
+if (OPDS_SERVER_PORT) {
+  startOpdsServer();
+}
+
 // Manual trigger: send SIGUSR1 to kick off a cycle
 // Usage: docker kill --signal=SIGUSR1 book-sync
 process.on('SIGUSR1', () => {
@@ -807,6 +1123,15 @@ process.on('SIGUSR1', () => {
   runCycle('manual');
 });
 
+// Shutdown (docker stop, Ctrl+C): close the shared browser so no Chromium is left behind
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, async () => {
+    log(`👋 Received ${signal} - shutting down`);
+    await closeProviders();
+    process.exit(0);
+  });
+}
+
 async function waitForFlareSolverr(maxRetries = 30, intervalMs = 5000) {
   log(`⏳ Waiting for FlareSolverr at ${FLARESOLVERR_URL}...`);
 
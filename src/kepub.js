@@ -0,0 +1,130 @@
+import { load } from 'cheerio';
+import { posix } from 'path';
+
+import { openEpub, writeEpub } from './epub.js';
+import { log } from './logging.js';
+
+// Starting one of these begins a new Kobo "paragraph" (the P in kobo.P.S span ids)
+const BLOCK_ELEMENTS = new Set([
+  'p',
+  'div',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'li',
+  'blockquote',
+  'pre',
+  'td',
+  'th',
+  'dt',
+  'dd',
+  'figcaption',
+  'caption',
+  'section',
+  'article',
+  'aside',
+]);
+
+// Text in these is not part of the reading flow
+const SKIP_ELEMENTS = new Set(['script', 'style', 'svg', 'math', 'head', 'title']);
+
+// A sentence: text up to and including ., ! or ? (plus closing quotes/brackets), or the rest of the text
+const SENTENCE_PATTERN = /[^.!?]*[.!?]+["'”’)\]]*\s*|[^.!?]+$/g;
+
+function splitSentences(text) {
+  return text.match(SENTENCE_PATTERN)?.filter(Boolean) || [text];
+}
+
+/**
+ * Wrap every sentence of body text (and every image) in a
+ * <span class="koboSpan" id="kobo.P.S">, numbering paragraphs by block
+ * element, and put the body content in Kobo's book-columns/book-inner divs.
+ * This is what Kobo's reader uses for page turns, highlights and stats.
+ */
+function koboSpanify($) {
+  const body = $('body').first();
+  if (body.length === 0 || body.find('span.koboSpan').length > 0) return false;
+
+  const state = { para: 0, seg: 0 };
+  const nextId = () => `kobo.${state.para}.${++state.seg}`;
+
+  const walk = (node) => {
+    for (const child of [...(node.children || [])]) {
+      if (child.type === 'text') {
+        // Entities are left encoded (decodeEntities: false), so the raw text can go straight back into markup
+        if (!child.data.trim()) continue;
+        if (state.para === 0) state.para = 1;
+        const spans = splitSentences(child.data)
+          .map((sentence) => `<span class="koboSpan" id="${nextId()}">${sentence}</span>`)
+          .join('');
+        $(child).replaceWith(spans);
+      } else if (child.type === 'tag') {
+        const name = child.name.toLowerCase().replace(/^\w+:/, '');
+        if (SKIP_ELEMENTS.has(name)) continue;
+        if (name === 'img' || name === 'image') {
+          if (state.para === 0) state.para = 1;
+          $(child).wrap(`<span class="koboSpan" id="${nextId()}"></span>`);
+          continue;
+        }
+        if (BLOCK_ELEMENTS.has(name)) {
+          state.para++;
+          state.seg = 0;
+        }
+        walk(child);
+      }
+    }
+  };
+
+  walk(body.get(0));
+  body.wrapInner('<div id="book-columns"><div id="book-inner"></div></div>');
+  return true;
+}
+
+/**
+ * Mark the cover image with properties="cover-image" (EPUB 3 style), which
+ * Kobo needs to show covers of EPUB 2 books that use <meta name="cover">.
+ */
+function markCoverImage($) {
+  const coverId = $('meta[name="cover"]').attr('content');
+  if (!coverId) return;
+  const item = $(`manifest > item[id="${coverId}"]`);
+  const properties = (item.attr('properties') || '').split(/\s+/).filter(Boolean);
+  if (item.length > 0 && !properties.includes('cover-image')) {
+    item.attr('properties', [...properties, 'cover-image'].join(' '));
+  }
+}
+
+/**
+ * Convert an EPUB into a Kobo KEPUB at destPath (which should end in
+ * ".kepub.epub" - that's how Kobo devices recognise them). Each XHTML
+ * content document gets koboSpan sentence spans and the book-columns
+ * wrappers; the OPF gets a cover-image property. The source is not modified.
+ */
+export function convertToKepub(srcPath, destPath) {
+  const { zip, opfPath, opfDir, $ } = openEpub(srcPath);
+
+  let converted = 0;
+  $('manifest > item').each((_, el) => {
+    const mediaType = $(el).attr('media-type') || '';
+    if (mediaType !== 'application/xhtml+xml' && mediaType !== 'text/html') return;
+
+    const entryPath = posix.join(opfDir, decodeURIComponent($(el).attr('href') || ''));
+    const entry = zip.getEntry(entryPath);
+    if (!entry) return;
+
+    const $doc = load(entry.getData().toString('utf-8'), { xmlMode: true, decodeEntities: false });
+    if (koboSpanify($doc)) {
+      zip.updateFile(entryPath, Buffer.from($doc.xml(), 'utf-8'));
+      converted++;
+    }
+  });
+
+  markCoverImage($);
+  zip.updateFile(opfPath, Buffer.from($.xml(), 'utf-8'));
+  writeEpub(zip, destPath);
+
+  log(`📖 [KEPUB] Converted ${converted} content document(s): ${destPath}`);
+}
@@ -1,24 +1,46 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Tag for the log lines of whatever runs inside withLogTag(), e.g. one queue worker's book
+const logTag = new AsyncLocalStorage();
+
 export function timestamp() {
   // Use TZ env var (e.g. Europe/Amsterdam) for local time; falls back to UTC
   return new Date().toLocaleString('sv-SE', {
     timeZone: process.env.TZ || 'UTC',
-    year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
     hour12: false,
   });
 }
 
+function prefix() {
+  const tag = logTag.getStore();
+  return tag ? `[${timestamp()}] [${tag}]` : `[${timestamp()}]`;
+}
+
+/**
+ * Run fn with every log line it writes (including from async work it starts)
+ * tagged, so interleaved output from parallel workers can be told apart.
+ */
+export function withLogTag(tag, fn) {
+  return logTag.run(tag, fn);
+}
+
 export function log(msg) {
-  console.log(`[${timestamp()}] ${msg}`);
+  console.log(`${prefix()} ${msg}`);
 }
 
 export function logError(msg, err) {
-  console.error(`[${timestamp()}] ❌ ${msg}`, err ? err.message : '');
+  console.error(`${prefix()} ❌ ${msg}`, err ? err.message : '');
   if (err && err.stack) {
     console.error(err.stack);
   }
 }
 
 export function logWarn(msg) {
-  console.warn(`[${timestamp()}] ⚠️  ${msg}`);
-}
\ No newline at end of file
+  console.warn(`${prefix()} ⚠️  ${msg}`);
+}
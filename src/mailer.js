@@ -1,6 +1,9 @@
 import { createTransport } from 'nodemailer';
-import { SMTP_HOST, SMTP_PORT, SMTP_FROM } from './config.js';
+import { statSync } from 'fs';
+import { basename } from 'path';
+import { SMTP_HOST, SMTP_PORT, SMTP_FROM, DEVICE_MAX_ATTACHMENT_MB, DEVICE_DEFAULT_FORMATS } from './config.js';
 import { logWarn, log, logError } from './logging.js';
+import { bookExtension, parseList } from './utils.js';
 
 const smtpTransport = createTransport({
   host: SMTP_HOST,
@@ -9,16 +12,51 @@ const smtpTransport = createTransport({
   tls: { rejectUnauthorized: false },
 });
 
-export function buildEmailHtml(userName, books) {
-  const bookRows = books.map(b => `
+function describeDeviceResult(device) {
+  if (device.status === 'sent') return '📱 Sent to your e-reader';
+  return `⚠️ Not sent to your e-reader: ${device.reason}`;
+}
+
+// Header icon, heading and intro sentence per notification event type
+const EMAIL_COPY = {
+  downloaded: {
+    icon: '📚',
+    heading: 'New books ready!',
+    intro: (books) =>
+      `${books.length === 1 ? 'A new book was' : `${books.length} new books were`} downloaded and ${books.length === 1 ? 'is' : 'are'} ready for you to read.`,
+  },
+  failed: {
+    icon: '❌',
+    heading: 'Books could not be downloaded',
+    intro: (books) =>
+      `${books.length === 1 ? 'A book' : `${books.length} books`} from your shelves could not be found or downloaded. Try a different edition, or get ${books.length === 1 ? 'it' : 'them'} another way.`,
+  },
+  needs_attention: {
+    icon: '🧐',
+    heading: 'Books need attention',
+    intro: (books) =>
+      `${books.length === 1 ? 'A book' : `${books.length} books`} from your shelves had no clear match and ${books.length === 1 ? 'is' : 'are'} waiting for someone to review the candidates.`,
+  },
+};
+
+export function buildEmailHtml(userName, books, type = 'downloaded') {
+  const copy = EMAIL_COPY[type];
+  const bookRows = books
+    .map(
+      (b) => `
     <tr>
       <td style="padding: 12px 16px; border-bottom: 1px solid #f0f0f0;">
         <strong style="color: #1a1a1a;">${b.title || 'Unknown Title'}</strong>
         <br>
         <span style="color: #666; font-size: 14px;">${b.author || 'Unknown Author'}</span>
+        ${b.shelf ? `<br><span style="color: #999; font-size: 12px;">Shelf: ${b.shelf}</span>` : ''}
+        ${b.reason ? `<br><span style="color: #c05621; font-size: 12px;">${b.reason}</span>` : ''}
+        ${b.device ? `<br><span style="color: ${b.device.status === 'sent' ? '#2f855a' : '#c05621'}; font-size: 12px;">${describeDeviceResult(b.device)}</span>` : ''}
       </td>
     </tr>
-  `).join('');
+  `,
+    )
+    .join('');
 
   return `
 <!DOCTYPE html>
@@ -32,8 +70,8 @@ export function buildEmailHtml(userName, books) {
           <!-- Header -->
           <tr>
             <td style="background-color: #2d3748; padding: 28px 32px; text-align: center;">
-              <span style="font-size: 28px;">📚</span>
-              <h1 style="color: #ffffff; margin: 8px 0 0; font-size: 20px; font-weight: 600;">New books ready!</h1>
+              <span style="font-size: 28px;">${copy.icon}</span>
+              <h1 style="color: #ffffff; margin: 8px 0 0; font-size: 20px; font-weight: 600;">${copy.heading}</h1>
             </td>
           </tr>
           <!-- Greeting -->
@@ -43,7 +81,7 @@ export function buildEmailHtml(userName, books) {
                 Hi ${userName},
               </p>
               <p style="color: #555; font-size: 15px; margin: 12px 0 0;">
-                ${books.length === 1 ? 'A new book was' : `${books.length} new books were`} downloaded and ${books.length === 1 ? 'is' : 'are'} ready for you to read.
+                ${copy.intro(books)}
               </p>
             </td>
           </tr>
@@ -69,27 +107,64 @@ export function buildEmailHtml(userName, books) {
 </html>`;
 }
 
-export async function sendDownloadNotification(user, books) {
-  if (!user.email) return;
+/**
+ * Email a notification event (see notifiers/index.js) to user.email. Throws
+ * if the send fails.
+ */
+export async function sendNotificationEmail(user, event) {
+  await smtpTransport.sendMail({
+    from: SMTP_FROM,
+    to: user.email,
+    subject: `${EMAIL_COPY[event.type].icon} ${event.title}`,
+    html: buildEmailHtml(user.name, event.books, event.type),
+  });
+}
+
+/**
+ * Email a book file to a user's e-reader (Kindle, PocketBook, ...) as an
+ * attachment. Skipped when the device doesn't accept the format (the user's
+ * device_formats, or DEVICE_DEFAULT_FORMATS) or the file is larger than
+ * DEVICE_MAX_ATTACHMENT_MB. A .kepub.epub is the `kepub` format, not `epub`:
+ * only Kobo devices read it, so it has to be listed explicitly.
+ *
+ * @returns {Promise<{ status: 'sent' | 'skipped' | 'failed', reason?: string }>}
+ */
+export async function sendToDevice(user, book, filePath) {
+  const extension = bookExtension(filePath).toLowerCase();
+  const format = extension === '.kepub.epub' ? 'kepub' : extension.slice(1);
+  const accepted = parseList(user.device_formats, DEVICE_DEFAULT_FORMATS);
+  const sizeMb = statSync(filePath).size / 1024 / 1024;
+
+  let result;
   if (!SMTP_FROM) {
-    logWarn(`[Email] SMTP_FROM not configured — skipping email for ${user.name}`);
-    return;
+    result = { status: 'skipped', reason: 'SMTP is not configured' };
+  } else if (!accepted.includes(format)) {
+    result = { status: 'skipped', reason: `${format} is not an accepted format (${accepted.join(', ')})` };
+  } else if (sizeMb > DEVICE_MAX_ATTACHMENT_MB) {
+    result = { status: 'skipped', reason: `file too large (${sizeMb.toFixed(1)} MB > ${DEVICE_MAX_ATTACHMENT_MB} MB)` };
+  } else {
+    try {
+      await smtpTransport.sendMail({
+        from: SMTP_FROM,
+        to: user.device_email,
+        subject: book.title || basename(filePath),
+        text: `${book.title || 'Unknown Title'} by ${book.author || 'Unknown Author'}`,
+        attachments: [{ filename: basename(filePath), path: filePath }],
+      });
+      result = { status: 'sent' };
+    } catch (err) {
+      result = { status: 'failed', reason: err.message };
+    }
   }
-  if (books.length === 0) return;
 
-  const subject = books.length === 1
-    ? `📚 "${books[0].title}" is ready to read`
-    : `📚 ${books.length} new books are ready to read`;
-
-  try {
-    await smtpTransport.sendMail({
-      from: SMTP_FROM,
-      to: user.email,
-      subject,
-      html: buildEmailHtml(user.name, books),
-    });
-    log(`📧 [Email] Sent notification to ${user.name} (${user.email}): ${books.length} book(s)`);
-  } catch (err) {
-    logError(`[Email] Failed to send to ${user.name} (${user.email})`, err);
+  if (result.status === 'sent') {
+    log(`📱 [Device] Sent "${book.title}" to ${user.name}'s e-reader (${user.device_email}, ${sizeMb.toFixed(1)} MB)`);
+  } else if (result.status === 'skipped') {
+    logWarn(`[Device] Not sending "${book.title}" to ${user.name}'s e-reader: ${result.reason}`);
+  } else {
+    logError(
+      `[Device] Failed to send "${book.title}" to ${user.name}'s e-reader (${user.device_email}): ${result.reason}`,
+    );
   }
-}
\ No newline at end of file
+  return result;
+}
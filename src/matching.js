@@ -0,0 +1,169 @@
+import { log } from './logging.js';
+
+// Minimum candidate score (0–1) to accept a search result. ISBN results get a
+// lower bar because the ISBN itself is the strong signal.
+export const MATCH_THRESHOLD = 0.7;
+export const ISBN_MATCH_THRESHOLD = 0.4;
+
+// Words that usually mean "not the actual book" (unless the Goodreads title has them too)
+const PENALTY_TERMS = [
+  'summary',
+  'summaries',
+  'workbook',
+  'study guide',
+  'sparknotes',
+  'cliffsnotes',
+  'analysis',
+  'collection',
+  'box set',
+  'boxed set',
+  'omnibus',
+  'abridged',
+  'companion',
+  'trivia',
+  'quiz',
+  'conversation starters',
+  'unofficial guide',
+  'sampler',
+  'excerpt',
+  'preview',
+];
+const PENALTY_PER_TERM = 0.25;
+
+/**
+ * Normalize a string for fuzzy comparison:
+ * lowercase, strip parenthetical info (e.g. series), remove punctuation, collapse whitespace.
+ */
+export function normalizeText(str) {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '') // Remove parenthetical info like "(Culture, #3)"
+    .replace(/:\s*a novel$/i, '') // Strip common subtitle noise like ": A Novel"
+    .replace(/[^\w\s]/g, '') // Remove punctuation
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Word-set similarity between two strings (0–1): shared words divided by all
+ * distinct words. Unlike a plain overlap against the shorter string, extra
+ * words in either title lower the score ("Dune" vs "Dune Messiah" is 50%).
+ */
+export function wordSimilarity(a, b) {
+  const wordsA = new Set(normalizeText(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeText(b).split(' ').filter(Boolean));
+
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const w of wordsA) {
+    if (wordsB.has(w)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Edit-distance similarity (0–1) of two already-normalized strings.
+ */
+function editSimilarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Title similarity (0–1): 60% edit-distance similarity, 40% word similarity.
+ * The result's main title (before any ":" subtitle) is also compared for the
+ * edit part, so "Title: A Subtitle" still scores well against "Title".
+ */
+export function titleSimilarity(expected, result) {
+  const exp = normalizeText(expected);
+  const res = normalizeText(result);
+  if (!exp || !res) return 0;
+
+  const resMain = normalizeText((result || '').split(':')[0]);
+  const edit = Math.max(editSimilarity(exp, res), editSimilarity(exp, resMain));
+  return 0.6 * edit + 0.4 * wordSimilarity(expected, result);
+}
+
+/**
+ * Author similarity (0–1): the fraction of the expected author's significant
+ * name-parts found in the result, or edit similarity of the whole name if that
+ * is higher (catches small spelling/transliteration differences).
+ */
+export function authorSimilarity(expected, result) {
+  const exp = normalizeText(expected);
+  const res = normalizeText(result);
+  if (!exp || !res) return 0;
+
+  const parts = exp.split(' ').filter((w) => w.length > 2);
+  const partScore = parts.length > 0 ? parts.filter((p) => res.includes(p)).length / parts.length : 0;
+  return Math.max(partScore, editSimilarity(exp, res));
+}
+
+/**
+ * Penalty terms present in the result title but not in the expected title.
+ */
+export function penaltyTerms(expectedTitle, resultTitle) {
+  const exp = ` ${normalizeText(expectedTitle)} `;
+  const res = ` ${normalizeText(resultTitle)} `;
+  return PENALTY_TERMS.filter((term) => res.includes(` ${term} `) && !exp.includes(` ${term} `));
+}
+
+/**
+ * Score a search result against the expected Goodreads title/author (0–1).
+ * Title weighs 65% and author 35% (title only if no expected author), minus
+ * a penalty for each "not the real book" term in the result title.
+ *
+ * @returns {{ score: number, title: number, author: number|null, penalties: string[] }}
+ */
+export function scoreCandidate(expectedTitle, expectedAuthor, resultTitle, resultAuthor) {
+  const title = titleSimilarity(expectedTitle, resultTitle);
+  const author = expectedAuthor ? authorSimilarity(expectedAuthor, resultAuthor) : null;
+  const penalties = penaltyTerms(expectedTitle, resultTitle);
+
+  const base = author === null ? title : 0.65 * title + 0.35 * author;
+  const score = Math.max(0, base - penalties.length * PENALTY_PER_TERM);
+
+  return { score, title, author, penalties };
+}
+
+/**
+ * Score and rank all candidates, best first. Each candidate gets a `score`
+ * (rounded to 3 decimals so it stores and logs cleanly).
+ */
+export function rankCandidates(expectedTitle, expectedAuthor, candidates) {
+  return candidates
+    .map((c) => {
+      const s = scoreCandidate(expectedTitle, expectedAuthor, c.title, c.author);
+      log(
+        `    [Match] "${c.title}" by ${c.author || '?'}: score ${formatScore(s.score)} (title ${formatScore(s.title)}, author ${s.author === null ? 'n/a' : formatScore(s.author)}${s.penalties.length ? `, penalties: ${s.penalties.join(', ')}` : ''})`,
+      );
+      return { ...c, score: Math.round(s.score * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+export function formatScore(score) {
+  return `${(score * 100).toFixed(0)}%`;
+}
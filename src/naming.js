@@ -0,0 +1,106 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+
+import { NAMING_TEMPLATE } from './config.js';
+import { stmts } from './db.js';
+import { log } from './logging.js';
+import { parseSeries, sanitizeFilename } from './utils.js';
+
+/**
+ * Placeholder values for a books row. Series comes from the Goodreads
+ * "(Series, #N)" title suffix; whole-number series indexes are zero-padded
+ * to two digits so files sort in reading order.
+ */
+function placeholderValues(book) {
+  const { title, series, seriesIndex } = parseSeries(book.title || 'Unknown');
+  const [whole, fraction] = (seriesIndex || '').split('.');
+  return {
+    full_title: book.title || 'Unknown',
+    title: title || 'Unknown',
+    author: book.author || 'Unknown',
+    series: series || '',
+    series_index: seriesIndex ? `${whole.padStart(2, '0')}${fraction ? `.${fraction}` : ''}` : '',
+    year: book.year || '',
+    isbn: book.isbn || '',
+  };
+}
+
+/**
+ * Tidy one rendered path segment: drop brackets and separators left dangling
+ * by empty placeholders ("Title ()", " - Title"), then sanitize it.
+ */
+function cleanSegment(segment) {
+  const cleaned = segment
+    .replace(/\(\s*\)|\[\s*\]/g, '')
+    .replace(/(\s+[-–_]\s*)+(?=\s+[-–_]\s)/g, '')
+    .replace(/^[\s\-–_.,]+|[\s\-–_,]+$/g, '');
+  return sanitizeFilename(cleaned);
+}
+
+/**
+ * Render a naming template such as "{author}/{series}/{series_index} - {title}"
+ * into a relative path (without extension). "/" in the template separates
+ * folders; segments that end up empty (e.g. {series} for a standalone book)
+ * are dropped. Unknown placeholders are left as-is.
+ */
+export function renderNamingTemplate(template, book) {
+  const values = placeholderValues(book);
+  const segments = (template || NAMING_TEMPLATE)
+    .split('/')
+    .map((part) =>
+      cleanSegment(
+        part.replace(/\{(\w+)\}/g, (token, key) =>
+          key in values ? String(values[key]).replace(/[/\\]/g, '-') : token,
+        ),
+      ),
+    )
+    .filter((segment) => segment && segment !== '.' && segment !== '..');
+
+  return segments.length > 0 ? segments.join('/') : sanitizeFilename(values.full_title);
+}
+
+/**
+ * Whether a template gives every book a folder of its own, i.e. its last
+ * folder segment contains the title ("{author}/{title}/{title}").
+ */
+function hasBookFolder(template) {
+  const segments = (template || NAMING_TEMPLATE).split('/');
+  return segments.length > 1 && /\{(full_)?title\}/.test(segments[segments.length - 2]);
+}
+
+/**
+ * Whether an existing file at destPath may be overwritten with this book:
+ * only when it was recorded as a delivery of the same book.
+ */
+function isOwnCopy(destPath, book) {
+  return stmts.getDeliveredBookIdsByPath.all(destPath).some((row) => row.book_id === book.id);
+}
+
+/**
+ * Work out where a book goes in a user's folder, using the user's naming
+ * template (or NAMING_TEMPLATE). When the path is already taken by a
+ * different book, the Goodreads book ID is appended (" [12345]"), then a
+ * counter - so the same book always lands on the same name and nothing is
+ * overwritten.
+ *
+ * ownFolder is true when the book sits alone in a folder of its own (see
+ * hasBookFolder), which decides the Calibre sidecar names.
+ *
+ * @returns {{ destPath: string, relPath: string, ownFolder: boolean }} relPath is relative to user.download_path
+ */
+export function resolveDestination(user, book, extension) {
+  const base = renderNamingTemplate(user.naming_template, book);
+  const bookTag = book.goodreads_book_id || book.id;
+  const names = [base, `${base} [${bookTag}]`];
+
+  for (let i = 0; ; i++) {
+    const relPath = `${names[i] ?? `${base} [${bookTag}] (${i})`}${extension}`;
+    const destPath = join(user.download_path, relPath);
+    if (!existsSync(destPath) || isOwnCopy(destPath, book)) {
+      if (i > 0) {
+        log(`📛 [Naming] "${base}${extension}" is taken in ${user.download_path} - using "${relPath}"`);
+      }
+      return { destPath, relPath, ownFolder: i === 0 && hasBookFolder(user.naming_template) };
+    }
+  }
+}
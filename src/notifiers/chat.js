@@ -0,0 +1,34 @@
+import axios from 'axios';
+
+import { formatEventText } from './format.js';
+
+const ICONS = { downloaded: '📚', failed: '❌', needs_attention: '🧐' };
+
+function chatMessage(event) {
+  return `${ICONS[event.type]} **${event.title}**\n${formatEventText(event)}`;
+}
+
+/**
+ * Discord incoming webhook ("discord:https://discord.com/api/webhooks/...").
+ */
+export const discordNotifier = {
+  type: 'discord',
+
+  async send(user, event, url) {
+    if (!url) throw new Error('discord channel needs a webhook URL');
+    await axios.post(url, { content: chatMessage(event).substring(0, 2000) }, { timeout: 15000 });
+  },
+};
+
+/**
+ * Slack incoming webhook, or anything that takes Slack's { text } payload
+ * (Mattermost, Rocket.Chat): "slack:https://hooks.slack.com/services/...".
+ */
+export const slackNotifier = {
+  type: 'slack',
+
+  async send(user, event, url) {
+    if (!url) throw new Error('slack channel needs a webhook URL');
+    await axios.post(url, { text: chatMessage(event).replace(/\*\*/g, '*') }, { timeout: 15000 });
+  },
+};
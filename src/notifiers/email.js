@@ -0,0 +1,21 @@
+import { SMTP_FROM } from '../config.js';
+import { logWarn } from '../logging.js';
+import { sendNotificationEmail } from '../mailer.js';
+
+/**
+ * Email to users.email (or "email:<address>") over the SMTP settings. Users
+ * without an address are skipped, so "email" is a safe default channel.
+ */
+export const emailNotifier = {
+  type: 'email',
+
+  async send(user, event, address) {
+    const to = address || user.email;
+    if (!to) return false;
+    if (!SMTP_FROM) {
+      logWarn(`[Email] SMTP_FROM not configured — skipping email for ${user.name}`);
+      return false;
+    }
+    await sendNotificationEmail({ ...user, email: to }, event);
+  },
+};
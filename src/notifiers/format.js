@@ -0,0 +1,32 @@
+/**
+ * One-line summary of an event, e.g. '2 new books are ready to read'.
+ */
+export function eventTitle(type, books) {
+  const one = books.length === 1;
+  if (type === 'downloaded') {
+    return one ? `"${books[0].title}" is ready to read` : `${books.length} new books are ready to read`;
+  }
+  if (type === 'failed') {
+    return one ? `"${books[0].title}" could not be downloaded` : `${books.length} books could not be downloaded`;
+  }
+  return one ? `"${books[0].title}" needs attention` : `${books.length} books need attention`;
+}
+
+function describeDetails(book) {
+  const details = [];
+  if (book.shelf) details.push(`shelf: ${book.shelf}`);
+  if (book.reason) details.push(book.reason);
+  if (book.device) {
+    details.push(book.device.status === 'sent' ? 'sent to e-reader' : `not sent to e-reader: ${book.device.reason}`);
+  }
+  return details.length > 0 ? ` (${details.join('; ')})` : '';
+}
+
+/**
+ * Plain-text event body for push/chat channels: one line per book.
+ */
+export function formatEventText(event) {
+  return event.books
+    .map((b) => `• ${b.title || 'Unknown Title'} — ${b.author || 'Unknown Author'}${describeDetails(b)}`)
+    .join('\n');
+}
@@ -0,0 +1,26 @@
+import axios from 'axios';
+
+import { formatEventText } from './format.js';
+
+const PRIORITIES = { downloaded: 4, failed: 7, needs_attention: 6 };
+
+/**
+ * Gotify: target is the message endpoint with an application token
+ * ("gotify:https://gotify.example.com/message?token=<app token>").
+ */
+export const gotifyNotifier = {
+  type: 'gotify',
+
+  async send(user, event, url) {
+    if (!url) throw new Error('gotify channel needs a URL ("gotify:https://<host>/message?token=<token>")');
+    await axios.post(
+      url,
+      {
+        title: event.title,
+        message: formatEventText(event),
+        priority: PRIORITIES[event.type],
+      },
+      { timeout: 15000 },
+    );
+  },
+};
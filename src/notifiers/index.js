@@ -0,0 +1,77 @@
+import { log, logWarn } from '../logging.js';
+import { parseList } from '../utils.js';
+import { eventTitle } from './format.js';
+import { emailNotifier } from './email.js';
+import { webhookNotifier } from './webhook.js';
+import { ntfyNotifier } from './ntfy.js';
+import { gotifyNotifier } from './gotify.js';
+import { discordNotifier, slackNotifier } from './chat.js';
+
+/**
+ * A notification channel. Every notifier has the same shape:
+ *
+ *   type                   - The prefix used in users.notify_channels ("ntfy:https://...")
+ *   send(user, event, target)
+ *                          - Deliver one event; throw on failure, return false if the
+ *                            channel doesn't apply to this user (e.g. email without an
+ *                            address). `target` is the part after "type:" (usually a
+ *                            URL), or null (e.g. plain "email").
+ *
+ * Every channel gets the same event:
+ *   { type: 'downloaded' | 'failed' | 'needs_attention', title, user: { id, name },
+ *     books: [{ title, author, shelf, device?, reason? }], timestamp }
+ */
+const ALL_NOTIFIERS = [emailNotifier, webhookNotifier, ntfyNotifier, gotifyNotifier, discordNotifier, slackNotifier];
+
+export const EVENT_TYPES = ['downloaded', 'failed', 'needs_attention'];
+
+// Users without their own channels keep getting email (if they have an address)
+const DEFAULT_CHANNELS = ['email'];
+
+/**
+ * Split a channel spec like "ntfy:https://ntfy.sh/books" into its notifier and target.
+ */
+export function parseChannel(spec) {
+  const sep = spec.indexOf(':');
+  const type = (sep === -1 ? spec : spec.slice(0, sep)).trim().toLowerCase();
+  const target = sep === -1 ? null : spec.slice(sep + 1).trim() || null;
+  return { notifier: ALL_NOTIFIERS.find((n) => n.type === type) || null, type, target };
+}
+
+export function describeNotifiers() {
+  return ALL_NOTIFIERS.map((n) => n.type).join(', ');
+}
+
+/**
+ * The channels a user wants notifications on (users.notify_channels,
+ * comma-separated), or just email.
+ */
+export function getUserChannels(user) {
+  return parseList(user.notify_channels, DEFAULT_CHANNELS);
+}
+
+/**
+ * Send one event to one of a user's channels.
+ *
+ * @returns {Promise<'sent' | 'skipped'>} 'skipped' if the channel doesn't apply
+ *   (e.g. email without an address) or is unknown. Throws if the send fails.
+ */
+export async function sendToChannel(user, spec, type, books) {
+  const { notifier, type: channelType, target } = parseChannel(spec);
+  if (!notifier) {
+    logWarn(`[Notify] Unknown channel "${channelType}" for ${user.name} - known: ${describeNotifiers()}`);
+    return 'skipped';
+  }
+
+  const event = {
+    type,
+    title: eventTitle(type, books),
+    user: { id: user.id, name: user.name },
+    books,
+    timestamp: new Date().toISOString(),
+  };
+
+  if ((await notifier.send(user, event, target)) === false) return 'skipped';
+  log(`🔔 [Notify] Sent "${type}" to ${user.name} via ${channelType}: ${books.length} book(s)`);
+  return 'sent';
+}
@@ -0,0 +1,89 @@
+import { NOTIFY_MAX_ATTEMPTS, NOTIFY_RETRY_BASE_MINUTES, NOTIFY_RETRY_MAX_MINUTES } from '../config.js';
+import { stmts } from '../db.js';
+import { log, logError, logWarn } from '../logging.js';
+import { getUserChannels, parseChannel, sendToChannel } from './index.js';
+
+/**
+ * Queue a notification about one of a user's books ('downloaded', 'failed' or
+ * 'needs_attention') on each of the user's channels. It is written to the
+ * notifications table right away, so it survives a crash and gets sent by the
+ * next sendPendingNotifications(). `details` is merged into the book entry of
+ * the event (e.g. { device } or { reason }).
+ */
+export function queueNotification(user, type, book, details = {}) {
+  for (const channel of getUserChannels(user)) {
+    stmts.queueNotification.run(user.id, book.id, type, channel, JSON.stringify(details));
+  }
+}
+
+function retryDelayMinutes(attempts) {
+  return Math.min(NOTIFY_RETRY_BASE_MINUTES * 2 ** attempts, NOTIFY_RETRY_MAX_MINUTES);
+}
+
+/**
+ * Send every queued notification that is due, batched into one event per
+ * user, event type and channel. Sent notifications are marked sent (and
+ * downloaded books is_notified once all their channels got through); failed
+ * ones are retried with exponential backoff on later cycles, up to
+ * NOTIFY_MAX_ATTEMPTS times.
+ */
+export async function sendPendingNotifications() {
+  const due = stmts.getDueNotifications.all(NOTIFY_MAX_ATTEMPTS);
+  if (due.length === 0) return;
+
+  const batches = new Map(); // "user_id|type|channel" -> rows[]
+  for (const row of due) {
+    const key = `${row.user_id}|${row.type}|${row.channel}`;
+    if (!batches.has(key)) batches.set(key, []);
+    batches.get(key).push(row);
+  }
+
+  const users = new Map(stmts.getUsers.all().map((u) => [u.id, u]));
+  log(`🔔 [Notify] Sending ${due.length} queued notification(s) in ${batches.size} message(s)...`);
+
+  for (const rows of batches.values()) {
+    const { user_id: userId, type, channel } = rows[0];
+    const user = users.get(userId);
+    const channelType = parseChannel(channel).type;
+
+    let result;
+    let error = null;
+    if (!user) {
+      result = 'skipped'; // User was deleted
+    } else {
+      const books = rows.map((r) => ({
+        title: r.title,
+        author: r.author,
+        shelf: r.shelf,
+        ...JSON.parse(r.details || '{}'),
+      }));
+      try {
+        result = await sendToChannel(user, channel, type, books);
+      } catch (err) {
+        error = err;
+      }
+    }
+
+    if (!error) {
+      for (const row of rows) {
+        stmts.markNotificationSent.run(result === 'skipped' ? 'skipped' : null, row.id);
+        if (row.type === 'downloaded') stmts.markLinkNotified.run(row.user_id, row.book_id);
+      }
+      continue;
+    }
+
+    // The rows are sent together, so they wait together: as long as the most-tried one
+    const attempts = Math.max(...rows.map((r) => r.attempts)) + 1;
+    const delay = retryDelayMinutes(attempts - 1);
+    if (attempts >= NOTIFY_MAX_ATTEMPTS) {
+      logError(`[Notify] Giving up on "${type}" for ${user.name} via ${channelType} after ${attempts} attempts`, error);
+    } else {
+      logWarn(
+        `[Notify] Failed to send "${type}" to ${user.name} via ${channelType} (attempt ${attempts}/${NOTIFY_MAX_ATTEMPTS}): ${error.message} - retrying in ${delay} min`,
+      );
+    }
+    for (const row of rows) {
+      stmts.markNotificationFailed.run(error.message, `+${delay} minutes`, row.id);
+    }
+  }
+}
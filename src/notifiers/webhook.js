@@ -0,0 +1,13 @@
+import axios from 'axios';
+
+/**
+ * Generic JSON webhook: POSTs the event as-is.
+ */
+export const webhookNotifier = {
+  type: 'webhook',
+
+  async send(user, event, url) {
+    if (!url) throw new Error('webhook channel needs a URL ("webhook:https://...")');
+    await axios.post(url, event, { timeout: 15000 });
+  },
+};
@@ -0,0 +1,350 @@
+import { createServer } from 'http';
+import { createReadStream, existsSync, statSync } from 'fs';
+import { basename, extname } from 'path';
+import { timingSafeEqual } from 'crypto';
+import { pipeline } from 'stream/promises';
+
+import { OPDS_SERVER_PORT } from './config.js';
+import { stmts } from './db.js';
+import { log, logError, logWarn } from './logging.js';
+import { escapeXml, parseSeries } from './utils.js';
+
+const PAGE_SIZE = 50;
+
+const NAVIGATION_TYPE = 'application/atom+xml;profile=opds-catalog;kind=navigation';
+const ACQUISITION_TYPE = 'application/atom+xml;profile=opds-catalog;kind=acquisition';
+
+const MIME_TYPES = {
+  '.epub': 'application/epub+zip',
+  '.kepub': 'application/kepub+zip',
+  '.mobi': 'application/x-mobipocket-ebook',
+  '.azw': 'application/vnd.amazon.ebook',
+  '.azw3': 'application/vnd.amazon.ebook',
+  '.pdf': 'application/pdf',
+  '.fb2': 'application/x-fictionbook+xml',
+  '.djvu': 'image/vnd.djvu',
+  '.cbz': 'application/vnd.comicbook+zip',
+  '.cbr': 'application/vnd.comicbook-rar',
+};
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Work out the user for a request. Two ways in, both using users.opds_token:
+ *   /opds/t/<token>/...            - for readers without auth support
+ *   /opds/... + HTTP Basic auth    - username: Goodreads ID, password: the token
+ *
+ * @returns {{ user: object, base: string, path: string }|null} base is the URL prefix to build links with
+ */
+function authenticate(req, pathname) {
+  const tokenMatch = pathname.match(/^\/opds\/t\/([^/]+)(\/.*)?$/);
+  if (tokenMatch) {
+    const token = decodeURIComponent(tokenMatch[1]);
+    const user = stmts.getUserByOpdsToken.get(token);
+    return user && safeEqual(user.opds_token, token)
+      ? { user, base: `/opds/t/${tokenMatch[1]}`, path: tokenMatch[2] || '/' }
+      : null;
+  }
+
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Basic ')) return null;
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf-8');
+  const sep = decoded.indexOf(':');
+  if (sep === -1) return null;
+
+  const user = stmts.getUserByGoodreadsId.get(decoded.slice(0, sep));
+  if (!user || !user.opds_token || !safeEqual(user.opds_token, decoded.slice(sep + 1))) return null;
+  return { user, base: '/opds', path: pathname.slice('/opds'.length) || '/' };
+}
+
+/**
+ * SQLite timestamps ("2024-01-31 12:00:00" UTC, or a bare date) as Atom dates.
+ */
+function atomDate(value) {
+  const date = new Date(`${(value || '').replace(' ', 'T')}${/\d:\d\d$/.test(value || '') ? 'Z' : ''}`);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+function feed({ id, title, base, selfPath, kind, entries, next }) {
+  const updated = new Date().toISOString();
+  const links = [
+    `  <link rel="self" href="${escapeXml(base + selfPath)}" type="${kind}"/>`,
+    `  <link rel="start" href="${escapeXml(base)}/" type="${NAVIGATION_TYPE}"/>`,
+  ];
+  if (next) links.push(`  <link rel="next" href="${escapeXml(base + next)}" type="${kind}"/>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/terms/" xmlns:opds="http://opds-spec.org/2010/catalog">
+  <id>${escapeXml(id)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${updated}</updated>
+${links.join('\n')}
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function navigationEntry(base, id, title, href, content, type = ACQUISITION_TYPE) {
+  return `  <entry>
+    <id>${escapeXml(id)}</id>
+    <title>${escapeXml(title)}</title>
+    <updated>${new Date().toISOString()}</updated>
+    <content type="text">${escapeXml(content)}</content>
+    <link rel="subsection" href="${escapeXml(base + href)}" type="${type}"/>
+  </entry>`;
+}
+
+function bookEntry(base, book) {
+  const ext = extname(book.delivered_path).toLowerCase();
+  const { series, seriesIndex } = parseSeries(book.title);
+  const lines = [
+    `    <id>urn:goodreads:${escapeXml(book.goodreads_book_id || book.id)}</id>`,
+    `    <title>${escapeXml(book.title || 'Unknown')}</title>`,
+    `    <author><name>${escapeXml(book.author || 'Unknown')}</name></author>`,
+    `    <updated>${atomDate(book.delivered_at)}</updated>`,
+  ];
+  if (book.isbn) lines.push(`    <dc:identifier>urn:isbn:${escapeXml(book.isbn)}</dc:identifier>`);
+  if (book.year) lines.push(`    <dc:issued>${escapeXml(book.year)}</dc:issued>`);
+  if (series) lines.push(`    <content type="text">${escapeXml(`${series} #${seriesIndex}`)}</content>`);
+  if (book.description) lines.push(`    <summary type="html">${escapeXml(book.description)}</summary>`);
+  if (book.cover_url) {
+    lines.push(`    <link rel="http://opds-spec.org/image" href="${escapeXml(book.cover_url)}" type="image/jpeg"/>`);
+    lines.push(
+      `    <link rel="http://opds-spec.org/image/thumbnail" href="${escapeXml(book.cover_url)}" type="image/jpeg"/>`,
+    );
+  }
+  lines.push(
+    `    <link rel="http://opds-spec.org/acquisition" href="${escapeXml(`${base}/books/${book.id}/file`)}" type="${MIME_TYPES[ext] || 'application/octet-stream'}"/>`,
+  );
+  return `  <entry>\n${lines.join('\n')}\n  </entry>`;
+}
+
+/**
+ * One page of an acquisition feed, with a rel="next" link if there's more.
+ */
+function acquisitionFeed({ base, selfPath, id, title, books, page }) {
+  const start = page * PAGE_SIZE;
+  const hasMore = books.length > start + PAGE_SIZE;
+  return feed({
+    id,
+    title,
+    base,
+    selfPath,
+    kind: ACQUISITION_TYPE,
+    entries: books.slice(start, start + PAGE_SIZE).map((b) => bookEntry(base, b)),
+    next: hasMore ? `${selfPath}?page=${page + 1}` : null,
+  });
+}
+
+function groupBy(books, keyOf) {
+  const groups = new Map();
+  for (const book of books) {
+    const key = keyOf(book);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(book);
+  }
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Route an authenticated request. Returns { type, body } for a feed,
+ * { file } for a book download, or null for 404.
+ */
+function route(user, base, path, page) {
+  const books = stmts.getLibraryForUser.all(user.id);
+  const catalogId = `urn:book-sync:${user.goodreads_id}`;
+
+  if (path === '/' || path === '') {
+    return {
+      type: NAVIGATION_TYPE,
+      body: feed({
+        id: catalogId,
+        title: `${user.name}'s books`,
+        base,
+        selfPath: '/',
+        kind: NAVIGATION_TYPE,
+        entries: [
+          navigationEntry(
+            base,
+            `${catalogId}:recent`,
+            'Recently added',
+            '/recent',
+            `${books.length} book(s), newest first`,
+          ),
+          navigationEntry(
+            base,
+            `${catalogId}:authors`,
+            'By author',
+            '/authors',
+            'Books grouped by author',
+            NAVIGATION_TYPE,
+          ),
+          navigationEntry(
+            base,
+            `${catalogId}:series`,
+            'By series',
+            '/series',
+            'Books grouped by series',
+            NAVIGATION_TYPE,
+          ),
+        ],
+      }),
+    };
+  }
+
+  if (path === '/recent') {
+    return {
+      type: ACQUISITION_TYPE,
+      body: acquisitionFeed({ base, selfPath: path, id: `${catalogId}:recent`, title: 'Recently added', books, page }),
+    };
+  }
+
+  const listMatch = path.match(/^\/(authors|series)(?:\/(.+))?$/);
+  if (listMatch) {
+    const [, kind, encodedName] = listMatch;
+    const keyOf = kind === 'authors' ? (b) => b.author : (b) => parseSeries(b.title).series;
+    const groups = groupBy(books, keyOf);
+
+    if (!encodedName) {
+      return {
+        type: NAVIGATION_TYPE,
+        body: feed({
+          id: `${catalogId}:${kind}`,
+          title: kind === 'authors' ? 'By author' : 'By series',
+          base,
+          selfPath: path,
+          kind: NAVIGATION_TYPE,
+          entries: groups.map(([name, group]) =>
+            navigationEntry(
+              base,
+              `${catalogId}:${kind}:${encodeURIComponent(name)}`,
+              name,
+              `/${kind}/${encodeURIComponent(name)}`,
+              `${group.length} book(s)`,
+            ),
+          ),
+        }),
+      };
+    }
+
+    const name = decodeURIComponent(encodedName);
+    const group = groups.find(([key]) => key === name);
+    if (!group) return null;
+    const sorted =
+      kind === 'series'
+        ? [...group[1]].sort(
+            (a, b) => parseFloat(parseSeries(a.title).seriesIndex) - parseFloat(parseSeries(b.title).seriesIndex),
+          )
+        : [...group[1]].sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    return {
+      type: ACQUISITION_TYPE,
+      body: acquisitionFeed({
+        base,
+        selfPath: path,
+        id: `${catalogId}:${kind}:${encodeURIComponent(name)}`,
+        title: name,
+        books: sorted,
+        page,
+      }),
+    };
+  }
+
+  const fileMatch = path.match(/^\/books\/(\d+)\/file$/);
+  if (fileMatch) {
+    const book = books.find((b) => b.id === parseInt(fileMatch[1], 10));
+    return book && existsSync(book.delivered_path) ? { file: book.delivered_path } : null;
+  }
+
+  return null;
+}
+
+function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    res.end();
+    return;
+  }
+  if (!url.pathname.startsWith('/opds')) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+
+  const auth = authenticate(req, url.pathname);
+  if (!auth) {
+    logWarn(
+      `[OPDS Server] Unauthorized request for ${url.pathname.replace(/\/t\/[^/]+/, '/t/***')} from ${req.socket.remoteAddress}`,
+    );
+    res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="book-sync"' });
+    res.end('Unauthorized');
+    return;
+  }
+
+  const page = Math.max(0, parseInt(url.searchParams.get('page') || '0', 10) || 0);
+  const result = route(auth.user, auth.base, auth.path, page);
+
+  if (!result) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+
+  if (result.file) {
+    const ext = extname(result.file).toLowerCase();
+    log(`📤 [OPDS Server] ${auth.user.name} downloading ${result.file}`);
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+      'Content-Length': statSync(result.file).size,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(basename(result.file))}`,
+    });
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    // The file can vanish or fail to read mid-stream (e.g. removed by the removal policy):
+    // pipeline() destroys the response instead of an unhandled stream error crashing the service
+    pipeline(createReadStream(result.file), res).catch((err) => {
+      logWarn(`[OPDS Server] Could not send ${result.file}: ${err.message}`);
+    });
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': `${result.type};charset=utf-8` });
+  res.end(req.method === 'HEAD' ? undefined : result.body);
+}
+
+/**
+ * Start the OPDS 1.2 catalog server on OPDS_SERVER_PORT. Each user with an
+ * opds_token sees the books delivered to them: recently added, by author and
+ * by series, with downloads streamed from their download_path.
+ */
+export function startOpdsServer() {
+  const server = createServer((req, res) => {
+    try {
+      handleRequest(req, res);
+    } catch (err) {
+      // Bad percent-encoding in a token or author/series name (decodeURIComponent)
+      if (err instanceof URIError) {
+        if (!res.headersSent) res.writeHead(400);
+        res.end('Bad request');
+        return;
+      }
+      logError(`[OPDS Server] ${req.method} ${req.url?.replace(/\/t\/[^/]+/, '/t/***')} failed`, err);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    }
+  });
+
+  server.on('error', (err) => logError(`[OPDS Server] Could not listen on port ${OPDS_SERVER_PORT}`, err));
+  server.listen(OPDS_SERVER_PORT, () => {
+    log(`📡 [OPDS Server] Listening on port ${OPDS_SERVER_PORT} (catalog at /opds)`);
+  });
+  return server;
+}
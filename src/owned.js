@@ -0,0 +1,113 @@
+import { readdirSync, statSync } from 'fs';
+import { basename, extname, join } from 'path';
+
+import { stmts } from './db.js';
+import { logWarn } from './logging.js';
+import { MATCH_THRESHOLD, normalizeText, scoreCandidate } from './matching.js';
+import { openEpub, readOpfMetadata } from './epub.js';
+import { renderNamingTemplate } from './naming.js';
+import { bookExtension, parseSeries } from './utils.js';
+
+const EBOOK_EXTENSIONS = ['.epub', '.kepub', '.mobi', '.azw', '.azw3', '.pdf', '.fb2', '.djvu', '.cbz', '.cbr'];
+const SCAN_TTL_MS = 10 * 60 * 1000; // Rescan a user's folder at most every 10 minutes
+
+const folderCache = new Map(); // download_path -> { scannedAt, files: [{ path, mtimeMs }] }
+const opfCache = new Map(); // file path -> { mtimeMs, meta }
+
+function scanDir(dir, files) {
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    // Skip hidden folders (e.g. the hardlink store) and files archived by the removal policy
+    if (entry.name.startsWith('.') || entry.name === '_archive') continue;
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      scanDir(fullPath, files);
+    } else if (entry.isFile() && EBOOK_EXTENSIONS.includes(extname(entry.name).toLowerCase())) {
+      files.push({ path: fullPath, mtimeMs: statSync(fullPath).mtimeMs });
+    }
+  }
+  return files;
+}
+
+function getUserFiles(downloadPath) {
+  const cached = folderCache.get(downloadPath);
+  if (cached && Date.now() - cached.scannedAt <= SCAN_TTL_MS) return cached.files;
+
+  let files = [];
+  try {
+    files = scanDir(downloadPath, []);
+  } catch (err) {
+    // A user whose folder doesn't exist yet simply owns nothing
+    if (err.code !== 'ENOENT') logWarn(`[Owned] Could not scan ${downloadPath}: ${err.message}`);
+  }
+  folderCache.set(downloadPath, { scannedAt: Date.now(), files });
+  return files;
+}
+
+function getEpubMetadata(file) {
+  const cached = opfCache.get(file.path);
+  if (cached && cached.mtimeMs === file.mtimeMs) return cached.meta;
+
+  let meta = null;
+  try {
+    meta = readOpfMetadata(openEpub(file.path).$);
+  } catch (err) {
+    void err; // Not a readable EPUB - it can still match by filename
+  }
+  opfCache.set(file.path, { mtimeMs: file.mtimeMs, meta });
+  return meta;
+}
+
+/**
+ * Normalized names this book could be saved under: the title with and without
+ * the author around it, and whatever the user's naming template produces.
+ * A " [12345]" collision tag on a filename is ignored.
+ */
+function expectedNames(user, book) {
+  const { title } = parseSeries(book.title);
+  const names = [title, book.title, basename(renderNamingTemplate(user.naming_template, book))];
+  if (book.author) {
+    names.push(`${book.author} - ${title}`, `${title} - ${book.author}`);
+  }
+  return new Set(names.map(normalizeText).filter(Boolean));
+}
+
+function normalizeFilename(filePath) {
+  return normalizeText(basename(filePath, bookExtension(filePath)).replace(/\s*\[\w+\]$/, ''));
+}
+
+/**
+ * Look for a book in a user's download_path: a file whose normalized name
+ * matches the book, or an EPUB whose OPF has the book's ISBN or a title/author
+ * that scores above MATCH_THRESHOLD.
+ *
+ * @returns {{ path: string, mtimeMs: number, reason: string }|null}
+ */
+export function findOwnedCopy(user, book) {
+  if (!book.title) return null;
+
+  // Files already recorded as another book's delivery don't count
+  const files = getUserFiles(user.download_path).filter(
+    (f) => !stmts.getDeliveredBookIdsByPath.all(f.path).some((row) => row.book_id !== book.id),
+  );
+  const names = expectedNames(user, book);
+
+  const byName = files.find((f) => names.has(normalizeFilename(f.path)));
+  if (byName) return { ...byName, reason: 'filename' };
+
+  const isbn = (book.isbn || '').replace(/[^0-9Xx]/g, '');
+  for (const file of files) {
+    if (extname(file.path).toLowerCase() !== '.epub') continue;
+
+    const meta = getEpubMetadata(file);
+    if (!meta) continue;
+
+    if (isbn && meta.identifiers.some((id) => id.replace(/[^0-9Xx]/g, '').endsWith(isbn))) {
+      return { ...file, reason: 'EPUB ISBN' };
+    }
+    if (meta.title && scoreCandidate(book.title, book.author, meta.title, meta.author).score >= MATCH_THRESHOLD) {
+      return { ...file, reason: 'EPUB title/author' };
+    }
+  }
+
+  return null;
+}
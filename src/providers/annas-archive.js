@@ -0,0 +1,535 @@
+import { existsSync, renameSync, rmSync, statSync, unlinkSync } from 'fs';
+import { extname, join } from 'path';
+import axios from 'axios';
+import { load } from 'cheerio';
+import { launch } from 'puppeteer-core';
+
+import { AA_API_KEY, AA_DOMAINS, FLARESOLVERR_URL } from '../config.js';
+import { log, logError, logWarn } from '../logging.js';
+import { sleep } from '../utils.js';
+import { withDomain } from '../throttle.js';
+import { attemptError, classifyError } from '../attempts.js';
+import { ISBN_MATCH_THRESHOLD, MATCH_THRESHOLD } from '../matching.js';
+import { getTempBasePath, getTempDir, rejectTinyFile, streamDownload } from '../download.js';
+
+// --- SEARCH ---
+
+const MAX_RESULTS_TO_CHECK = 10;
+
+/**
+ * Fetch one Anna's Archive search page via FlareSolverr and parse the results,
+ * filtered to one file format and any of the given languages (none = all).
+ *
+ * @returns {{ results: Array<{ title: string, author: string, md5: string }>|null, error?: Error }}
+ *   The parsed results (possibly empty), or null results and the error if the
+ *   request or page failed and the next domain should be tried.
+ */
+async function searchAnnaDomain(domain, query, format, languages) {
+  const langParams = languages.map((lang) => `&lang=${encodeURIComponent(lang)}`).join('');
+  const searchParams = `search?index=&page=1&sort=&ext=${encodeURIComponent(format)}${langParams}&display=&q=`;
+  const searchUrl = `https://${domain}/${searchParams}${encodeURIComponent(query)}`;
+
+  log(`🔗 [Search] URL: ${searchUrl}`);
+
+  try {
+    log(`🛡️  [Search] Sending request via FlareSolverr...`);
+    const searchStart = Date.now();
+
+    // Throttled by the Anna's Archive domain FlareSolverr fetches, not by FlareSolverr itself
+    const response = await withDomain(domain, () =>
+      axios.post(
+        FLARESOLVERR_URL,
+        {
+          cmd: 'request.get',
+          url: searchUrl,
+          maxTimeout: 120000,
+        },
+        {
+          timeout: 150000, // Give FlareSolverr extra time beyond its own timeout
+          validateStatus: () => true, // Don't throw on 4xx/5xx - we handle it ourselves
+        },
+      ),
+    );
+
+    const searchElapsed = ((Date.now() - searchStart) / 1000).toFixed(1);
+
+    if (response.status !== 200) {
+      const body =
+        typeof response.data === 'string'
+          ? response.data.substring(0, 500)
+          : JSON.stringify(response.data).substring(0, 500);
+      logError(`[Search] FlareSolverr HTTP ${response.status} for ${domain} (${searchElapsed}s): ${body}`);
+      return {
+        results: null,
+        error: attemptError(
+          classifyError({ message: body, response }),
+          `FlareSolverr HTTP ${response.status} for ${domain}: ${body}`,
+        ),
+      };
+    }
+
+    if (response.data.status !== 'ok') {
+      logError(
+        `[Search] FlareSolverr returned status "${response.data.status}" for ${domain} (${searchElapsed}s). Message: ${response.data.message || 'none'}`,
+      );
+      return {
+        results: null,
+        error: attemptError(
+          'blocked',
+          `FlareSolverr status "${response.data.status}" for ${domain}: ${response.data.message || 'none'}`,
+        ),
+      };
+    }
+
+    const html = response.data.solution.response;
+    log(`🛡️  [Search] FlareSolverr responded OK (${searchElapsed}s, HTML: ${html.length} chars)`);
+
+    const $ = load(html);
+
+    // Check if the results container exists at all
+    const container = $('div.js-aarecord-list-outer');
+    if (container.length === 0) {
+      logWarn(
+        `[Search] Results container (div.js-aarecord-list-outer) not found on page - page structure may have changed`,
+      );
+      return {
+        results: null,
+        error: attemptError(
+          'parse_error',
+          `Results container not found on ${domain} - page structure may have changed`,
+        ),
+      };
+    }
+
+    // Results live inside div.js-aarecord-list-outer; each direct child div is one result
+    const resultDivs = container.children('div');
+    const toCheck = Math.min(resultDivs.length, MAX_RESULTS_TO_CHECK);
+    const results = [];
+
+    for (let r = 0; r < toCheck; r++) {
+      const el = $(resultDivs[r]);
+
+      // Title: the <a> with class js-vim-focus
+      const title = el.find('a.js-vim-focus').first().text().trim();
+
+      // Author: the <a> whose child span has the user-edit icon
+      const authorLink = el.find('span[class*="icon-[mdi--user-edit]"]').closest('a');
+      const author = authorLink.text().trim();
+
+      // MD5: first <a> with href starting with /md5/
+      const md5Href = el.find('a[href^="/md5/"]').first().attr('href');
+
+      if (!md5Href) {
+        logWarn(`[Search] Result #${r + 1}: no MD5 link found, skipping`);
+        continue;
+      }
+
+      const md5Match = md5Href.match(/\/md5\/([a-fA-F0-9]+)/);
+      if (!md5Match) {
+        logWarn(`[Search] Result #${r + 1}: could not parse MD5 from href "${md5Href}", skipping`);
+        continue;
+      }
+
+      results.push({ title, author, md5: md5Match[1] });
+    }
+
+    if (resultDivs.length > 0) {
+      log(`🔍 [Search] Found ${resultDivs.length} result(s), checking top ${toCheck}...`);
+    }
+
+    return { results };
+  } catch (err) {
+    logError(`[Search] Failed on ${domain}`, err);
+    if (err.code) log(`[Search] Error code: ${err.code}`);
+    if (err.response) log(`[Search] HTTP status: ${err.response.status}`);
+    return { results: null, error: err };
+  }
+}
+
+/**
+ * Build the download URL for an Anna's Archive md5: the fast_download API when
+ * we have a key, otherwise the detail page.
+ */
+function buildAnnaDownloadUrl(domain, md5) {
+  if (AA_API_KEY) {
+    const url = `https://${domain}/fast_download/${md5}/0/0?key=${AA_API_KEY}`;
+    log(`  [Search] Using fast_download API: ${url.replace(AA_API_KEY, '***')}`);
+    return url;
+  }
+
+  const url = `https://${domain}/md5/${md5}`;
+  log(`  [Search] No API key - returning detail page: ${url}`);
+  return url;
+}
+
+// --- DOWNLOAD ---
+
+const CHROMIUM_PATH = process.env.CHROMIUM_PATH || '/usr/bin/chromium-browser';
+
+async function applyStealthPatches(page) {
+  await page.evaluateOnNewDocument(() => {
+    /* eslint-disable no-undef -- runs in browser context via Puppeteer */
+    Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+    Object.defineProperty(navigator, 'plugins', {
+      get: () => [1, 2, 3, 4, 5],
+    });
+    Object.defineProperty(navigator, 'languages', {
+      get: () => ['en-US', 'en'],
+    });
+    window.chrome = { runtime: {}, loadTimes: () => {}, csi: () => {} };
+    const origQuery = window.navigator.permissions.query.bind(window.navigator.permissions);
+    window.navigator.permissions.query = (params) =>
+      params.name === 'notifications' ? Promise.resolve({ state: Notification.permission }) : origQuery(params);
+    /* eslint-enable no-undef */
+  });
+  await page.setUserAgent(
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  );
+  await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
+}
+
+async function waitForCloudflare(page, timeoutMs = 60000) {
+  const startTime = Date.now();
+  while (Date.now() - startTime < timeoutMs) {
+    const title = await page.title().catch(() => '');
+    if (title.includes('Just a moment') || title.includes('Checking') || title.includes('Attention Required')) {
+      log('🌐 [BrowserDL] Cloudflare challenge detected, waiting...');
+      await sleep(3000);
+      continue;
+    }
+    // Real page loaded — challenge is solved (or was never shown)
+    return;
+  }
+  throw attemptError('blocked', 'Cloudflare challenge did not resolve within timeout');
+}
+
+// One Chromium for the whole process, so Cloudflare's clearance cookie and the
+// Anna's Archive login (both kept in its profile) are only needed once per
+// domain, not once per book. If it crashes, the next download launches a new one.
+//
+//   browser   - Promise of the puppeteer Browser
+//   cdp       - Browser-level CDP session, for download events
+//   sessions  - Base URL -> promise of passing Cloudflare and logging in there
+//   downloads - Frame id -> { guid, suggestedFilename, state, receivedBytes }
+let chromium = null;
+
+async function launchChromium(state) {
+  log('🌐 [BrowserDL] Launching Chromium...');
+  const browser = await launch({
+    executablePath: CHROMIUM_PATH,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--no-first-run',
+      '--disable-blink-features=AutomationControlled',
+    ],
+    headless: 'new',
+    // closeBrowser() is called from our own signal handlers
+    handleSIGINT: false,
+    handleSIGTERM: false,
+    handleSIGHUP: false,
+  });
+
+  browser.on('disconnected', () => {
+    if (chromium !== state) return; // An old browser we already replaced
+    chromium = null;
+    logWarn('[BrowserDL] Chromium exited unexpectedly - it will be relaunched for the next download');
+  });
+
+  // Several downloads can run at once and the download folder is shared by the
+  // whole profile, so files are saved under their download guid and matched to
+  // their page by the frame that started them
+  try {
+    state.cdp = await browser.target().createCDPSession();
+    state.cdp.on('Browser.downloadWillBegin', ({ frameId, guid, suggestedFilename }) => {
+      state.downloads.set(frameId, { guid, suggestedFilename, state: 'inProgress', receivedBytes: 0 });
+    });
+    state.cdp.on('Browser.downloadProgress', ({ guid, state: progress, receivedBytes }) => {
+      const download = [...state.downloads.values()].find((d) => d.guid === guid);
+      if (download) Object.assign(download, { state: progress, receivedBytes });
+    });
+    await state.cdp.send('Browser.setDownloadBehavior', {
+      behavior: 'allowAndName',
+      downloadPath: getTempDir(),
+      eventsEnabled: true,
+    });
+  } catch (err) {
+    // Don't leave a Chromium running that nothing will ever use
+    await browser.close().catch(() => {});
+    throw err;
+  }
+
+  log('🌐 [BrowserDL] Chromium ready');
+  return browser;
+}
+
+function getChromium() {
+  if (!chromium) {
+    const state = { sessions: new Map(), downloads: new Map() };
+    state.browser = launchChromium(state);
+    state.browser.catch(() => {
+      if (chromium === state) chromium = null;
+    });
+    chromium = state;
+  }
+  return chromium;
+}
+
+/**
+ * Close the shared Chromium, if one is running (on shutdown).
+ */
+async function closeBrowser() {
+  const state = chromium;
+  chromium = null;
+  if (!state) return;
+
+  const browser = await state.browser.catch(() => null);
+  if (browser) {
+    await browser.close().catch(() => {});
+    log('🌐 [BrowserDL] Browser closed');
+  }
+}
+
+/**
+ * Solve the Cloudflare challenge at an Anna's Archive domain and log in with
+ * the API key (which is the AA "secret key"). The cookies stay in the browser
+ * for every later download from that domain.
+ */
+async function startSession(browser, baseUrl) {
+  if (!AA_API_KEY) throw attemptError('config_error', "AA_API_KEY is not set — cannot log in to Anna's Archive");
+
+  const page = await browser.newPage();
+  try {
+    await applyStealthPatches(page);
+
+    // Step 1: Visit the site root to solve any Cloudflare challenge
+    log(`🌐 [BrowserDL] Solving Cloudflare challenge at ${baseUrl}...`);
+    await page.goto(baseUrl, { timeout: 120000, waitUntil: 'domcontentloaded' });
+    await waitForCloudflare(page);
+
+    log('🌐 [BrowserDL] Cloudflare passed');
+
+    // Step 2: Log in
+    log("🌐 [BrowserDL] Logging into Anna's Archive...");
+    await page.goto(`${baseUrl}account`, { timeout: 60000, waitUntil: 'domcontentloaded' });
+    await waitForCloudflare(page);
+
+    await page.waitForSelector('input[name="key"]', { timeout: 15000 });
+    await page.type('input[name="key"]', AA_API_KEY, { delay: 30 });
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 30000 }),
+      page.$eval('input[name="key"]', (el) => el.closest('form').querySelector('button[type="submit"]').click()),
+    ]);
+
+    const postLoginUrl = page.url();
+    if (postLoginUrl.includes('/account')) {
+      log('🌐 [BrowserDL] Logged in successfully');
+    } else {
+      logWarn(`[BrowserDL] Login may have failed — landed on: ${postLoginUrl}`);
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * The session for a domain, started once and shared by concurrent downloads.
+ * A session that failed to start is forgotten so the next download tries again.
+ */
+function getSession(state, browser, baseUrl) {
+  if (!state.sessions.has(baseUrl)) {
+    const session = startSession(browser, baseUrl);
+    session.catch(() => {
+      if (state.sessions.get(baseUrl) === session) state.sessions.delete(baseUrl);
+    });
+    state.sessions.set(baseUrl, session);
+  }
+  return state.sessions.get(baseUrl);
+}
+
+async function downloadWithBrowser(url, timeoutMs = 300000) {
+  const state = getChromium();
+  const browser = await state.browser;
+
+  const urlObj = new URL(url);
+  const baseUrl = `${urlObj.protocol}//${urlObj.host}/`;
+  let page = null;
+  let frameId = null;
+
+  try {
+    await getSession(state, browser, baseUrl);
+
+    page = await browser.newPage();
+    await applyStealthPatches(page);
+    page.setDefaultTimeout(timeoutMs);
+
+    const client = await page.createCDPSession();
+    frameId = (await client.send('Page.getFrameTree')).frameTree.frame.id;
+
+    // Navigate to the download URL. The server redirects to a CDN on a
+    // different domain, so fetch() fails (CORS). Browser navigation handles
+    // cross-origin redirects natively and triggers Chrome's download behavior.
+    log('🌐 [BrowserDL] Navigating to download URL...');
+    page.goto(url, { timeout: timeoutMs, waitUntil: 'load' }).catch(() => {});
+
+    const dlStart = Date.now();
+    let download = null;
+
+    while (Date.now() - dlStart < timeoutMs) {
+      await sleep(3000);
+
+      if (!browser.connected) {
+        throw attemptError('transient_network', 'Chromium exited during the download');
+      }
+
+      const current = state.downloads.get(frameId);
+      if (current?.state === 'completed') {
+        download = current;
+        break;
+      }
+      if (current?.state === 'canceled') {
+        throw attemptError('transient_network', `Browser download of ${current.suggestedFilename} was canceled`);
+      }
+      if (current) {
+        log(`🌐 [BrowserDL] Downloading... ${(current.receivedBytes / 1024 / 1024).toFixed(1)} MB so far`);
+        continue;
+      }
+
+      if (Date.now() - dlStart > 90000) {
+        const currentUrl = page.url();
+        const title = await page.title().catch(() => '');
+        const bodyText = await page
+          .evaluate(() =>
+            // eslint-disable-next-line no-undef -- runs in browser context via Puppeteer
+            (document.body?.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 500),
+          )
+          .catch(() => '');
+        // The clearance or login may have expired: start over on this domain next time
+        state.sessions.delete(baseUrl);
+        // Usually a dead link or a file that's no longer on offer, so it counts toward MAX_ATTEMPTS
+        throw attemptError(
+          'bad_file',
+          `No download started after 90s. URL: ${currentUrl}, Title: "${title}". Content: ${bodyText}`,
+        );
+      }
+    }
+
+    if (!download) {
+      throw attemptError('transient_network', 'Browser download timed out');
+    }
+
+    // Saved under its guid: give it back the extension of the name the server suggested
+    const downloadedPath = join(getTempDir(), `${download.guid}${extname(download.suggestedFilename || '')}`);
+    renameSync(join(getTempDir(), download.guid), downloadedPath);
+
+    const size = statSync(downloadedPath).size;
+    log(`🌐 [BrowserDL] Complete: ${download.suggestedFilename} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+    return downloadedPath;
+  } catch (err) {
+    const partial = frameId && state.downloads.get(frameId);
+    if (partial && partial.state !== 'completed') {
+      await state.cdp.send('Browser.cancelDownload', { guid: partial.guid }).catch(() => {});
+      rmSync(join(getTempDir(), partial.guid), { force: true });
+    }
+    if (!browser.connected && !err.errorClass) {
+      throw attemptError('transient_network', `Chromium exited during the download: ${err.message}`, err);
+    }
+    throw err;
+  } finally {
+    if (frameId) state.downloads.delete(frameId);
+    if (page) await page.close().catch(() => {});
+  }
+}
+
+/**
+ * Anna's Archive: searched through FlareSolverr on each of AA_DOMAINS in turn.
+ * Candidate ids are md5s.
+ */
+export const annasArchiveProvider = {
+  name: 'annas-archive',
+
+  isConfigured() {
+    return AA_DOMAINS.length > 0;
+  },
+
+  /**
+   * For each preferred format: ISBN search first (lower threshold) when an
+   * ISBN is known, then the title/author query, each on every domain.
+   */
+  async *searches(book, { formats, languages }) {
+    const cleanIsbn = (book.isbn || '').replace(/[^0-9Xx]/g, '');
+
+    for (const format of formats) {
+      const strategies = [];
+      if (cleanIsbn.length === 10 || cleanIsbn.length === 13) {
+        strategies.push({ name: 'isbn', query: cleanIsbn, threshold: ISBN_MATCH_THRESHOLD });
+      }
+      if (book.query) {
+        strategies.push({ name: 'title', query: book.query, threshold: MATCH_THRESHOLD });
+      }
+
+      for (const strategy of strategies) {
+        log(
+          `🔎 [Search] Strategy: ${strategy.name}, format: ${format}, languages: ${languages.join(', ') || 'any'} (query: "${strategy.query}")`,
+        );
+
+        for (let i = 0; i < AA_DOMAINS.length; i++) {
+          const domain = AA_DOMAINS[i];
+          log(`🌐 [Search] Trying domain ${i + 1}/${AA_DOMAINS.length}: ${domain}`);
+
+          const { results, error } = await searchAnnaDomain(domain, strategy.query, format, languages);
+          yield {
+            strategy: strategy.name,
+            format,
+            threshold: strategy.threshold,
+            source: domain,
+            results: results && results.map((r) => ({ ...r, id: r.md5, format, domain })),
+            error,
+          };
+        }
+
+        if (strategy.name === 'isbn') {
+          log(`🔎 [Search] ISBN search found no clear match, falling back to title search`);
+        }
+      }
+    }
+  },
+
+  close() {
+    return closeBrowser();
+  },
+
+  async fetch(candidate, job) {
+    const url = buildAnnaDownloadUrl(candidate.domain || AA_DOMAINS[0], candidate.id);
+    log(`⬇️  [Download] Downloading from: ${url}`);
+
+    if (!url.includes('/fast_download/')) {
+      return streamDownload(url, job);
+    }
+
+    // Cloudflare's cf_clearance cookie is bound to the TLS fingerprint (JA3) of the
+    // solving client. Node.js has a completely different JA3 than Chrome, so passing
+    // FlareSolverr cookies to axios always results in a 403. Use a real browser instead.
+    log('🌐 [Download] Using browser download for fast_download URL...');
+    const dlStart = Date.now();
+
+    const downloadedPath = await withDomain(url, () => downloadWithBrowser(url));
+
+    const stats = statSync(downloadedPath);
+    const dlElapsed = ((Date.now() - dlStart) / 1000).toFixed(1);
+    log(`⬇️  [Download] Completed: ${(stats.size / 1024 / 1024).toFixed(2)} MB in ${dlElapsed}s`);
+
+    rejectTinyFile(downloadedPath);
+
+    const extension = extname(downloadedPath).toLowerCase() || '.epub';
+    const tempPath = `${getTempBasePath(job)}${extension}`;
+    if (downloadedPath !== tempPath) {
+      if (existsSync(tempPath)) unlinkSync(tempPath);
+      renameSync(downloadedPath, tempPath);
+    }
+
+    return { filePath: tempPath, extension };
+  },
+};
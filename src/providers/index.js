@@ -0,0 +1,55 @@
+import { PROVIDERS } from '../config.js';
+import { logWarn } from '../logging.js';
+import { annasArchiveProvider } from './annas-archive.js';
+import { opdsProvider } from './opds.js';
+import { localFolderProvider } from './local-folder.js';
+
+/**
+ * A book source. Every provider has the same shape:
+ *
+ *   name            - Stored on books.provider and candidates
+ *   isConfigured()  - Whether its settings are present; unconfigured providers are skipped
+ *   searches(book, { formats, languages })
+ *                   - Async generator of search attempts, in the order to try them:
+ *                     { strategy, format, threshold, source, results }, where results is
+ *                     an array of { id, title, author, format } candidates (possibly
+ *                     empty), or null if the attempt failed - then `error` says why
+ *                     (see attempts.js for error classes). `book` is the books row
+ *                     plus `query` (cleaned "title author").
+ *   fetch(candidate, job)
+ *                   - Download/copy a candidate to the temp dir: { filePath, extension }
+ *   close()         - Optional: release anything kept open between books (on shutdown)
+ */
+const ALL_PROVIDERS = [localFolderProvider, opdsProvider, annasArchiveProvider];
+
+export function getProvider(name) {
+  return ALL_PROVIDERS.find((p) => p.name === name) || null;
+}
+
+/**
+ * Configured providers in PROVIDERS order.
+ */
+export function getProviders() {
+  return PROVIDERS.map(getProvider).filter((p) => p && p.isConfigured());
+}
+
+/**
+ * One-line summary of PROVIDERS for the startup log; warns about unknown names.
+ */
+export function describeProviders() {
+  return PROVIDERS.map((name) => {
+    const provider = getProvider(name);
+    if (!provider) {
+      logWarn(`Unknown provider "${name}" in PROVIDERS - known: ${ALL_PROVIDERS.map((p) => p.name).join(', ')}`);
+      return `${name} (unknown)`;
+    }
+    return provider.isConfigured() ? name : `${name} (not configured)`;
+  }).join(' -> ');
+}
+
+/**
+ * Let providers release what they keep open (e.g. Anna's Archive's browser).
+ */
+export async function closeProviders() {
+  await Promise.all(ALL_PROVIDERS.filter((p) => p.close).map((p) => p.close()));
+}
@@ -0,0 +1,109 @@
+import { copyFileSync, readdirSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+
+import { LOCAL_LIBRARY_PATH } from '../config.js';
+import { log, logError } from '../logging.js';
+import { MATCH_THRESHOLD, wordSimilarity } from '../matching.js';
+import { getTempBasePath } from '../download.js';
+
+const MAX_RESULTS_TO_CHECK = 10;
+const SCAN_TTL_MS = 10 * 60 * 1000; // Rescan the library at most every 10 minutes
+
+let libraryCache = { scannedAt: 0, files: [] };
+
+function scanDir(dir, files) {
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      scanDir(fullPath, files);
+    } else if (entry.isFile() && extname(entry.name).length > 1) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function getLibraryFiles() {
+  if (Date.now() - libraryCache.scannedAt > SCAN_TTL_MS) {
+    const files = scanDir(LOCAL_LIBRARY_PATH, []);
+    libraryCache = { scannedAt: Date.now(), files };
+    log(`📁 [Local] Scanned ${LOCAL_LIBRARY_PATH}: ${files.length} file(s)`);
+  }
+  return libraryCache.files;
+}
+
+/**
+ * Guess title and author from a library path. Handles "Author - Title.epub"
+ * and Calibre's "Author/Title (123)/Title - Author.epub" layout; otherwise the
+ * filename is the title and the parent folder the author.
+ */
+function describeFile(filePath) {
+  const name = basename(filePath, extname(filePath));
+  const bookDir = basename(dirname(filePath)).replace(/\s*\(\d+\)$/, '');
+  const authorDir = basename(dirname(dirname(filePath)));
+
+  if (name.includes(' - ')) {
+    const [first, ...rest] = name.split(' - ');
+    const second = rest.join(' - ');
+    // Calibre names files "Title - Author" inside "Author/Title (id)/"
+    if (first === bookDir && second === authorDir) return { title: first, author: second };
+    return { title: second, author: first };
+  }
+
+  return { title: name, author: bookDir };
+}
+
+/**
+ * A directory of existing ebooks at LOCAL_LIBRARY_PATH, matched on file and
+ * folder names. Candidate ids are file paths.
+ */
+export const localFolderProvider = {
+  name: 'local',
+
+  isConfigured() {
+    return Boolean(LOCAL_LIBRARY_PATH);
+  },
+
+  async *searches(book, { formats }) {
+    let files;
+    try {
+      files = getLibraryFiles();
+    } catch (err) {
+      logError(`[Local] Could not scan ${LOCAL_LIBRARY_PATH}`, err);
+      yield {
+        strategy: 'filename',
+        format: formats[0],
+        threshold: MATCH_THRESHOLD,
+        source: LOCAL_LIBRARY_PATH,
+        results: null,
+        error: err,
+      };
+      return;
+    }
+
+    for (const format of formats) {
+      log(`🔎 [Local] Strategy: filename, format: ${format}`);
+
+      // Cheap pre-filter: only files sharing at least one title word, best first
+      const results = files
+        .filter((f) => extname(f).toLowerCase() === `.${format}`)
+        .map((f) => ({ id: f, format, ...describeFile(f) }))
+        .map((c) => ({ c, overlap: wordSimilarity(book.title, c.title) }))
+        .filter(({ overlap }) => overlap > 0)
+        .sort((a, b) => b.overlap - a.overlap)
+        .slice(0, MAX_RESULTS_TO_CHECK)
+        .map(({ c }) => c);
+
+      yield { strategy: 'filename', format, threshold: MATCH_THRESHOLD, source: LOCAL_LIBRARY_PATH, results };
+    }
+  },
+
+  async fetch(candidate, job) {
+    const extension = extname(candidate.id).toLowerCase();
+    const tempPath = `${getTempBasePath(job)}${extension}`;
+    log(`📁 [Local] Copying ${candidate.id} -> ${tempPath}`);
+    copyFileSync(candidate.id, tempPath);
+    return { filePath: tempPath, extension };
+  },
+};
@@ -0,0 +1,187 @@
+import axios from 'axios';
+import { load } from 'cheerio';
+
+import { OPDS_URL, OPDS_USERNAME, OPDS_PASSWORD } from '../config.js';
+import { log, logError } from '../logging.js';
+import { ISBN_MATCH_THRESHOLD, MATCH_THRESHOLD } from '../matching.js';
+import { streamDownload } from '../download.js';
+import { attemptError } from '../attempts.js';
+import { withDomain } from '../throttle.js';
+
+const MAX_RESULTS_TO_CHECK = 10;
+
+// Acquisition link MIME types -> format names used in user preferences
+const MIME_FORMATS = {
+  'application/epub+zip': 'epub',
+  'application/kepub+zip': 'kepub',
+  'application/x-mobipocket-ebook': 'mobi',
+  'application/x-mobi8-ebook': 'azw3',
+  'application/vnd.amazon.ebook': 'azw3',
+  'application/x-mobi8': 'azw3',
+  'application/pdf': 'pdf',
+  'application/x-cbz': 'cbz',
+  'application/vnd.comicbook+zip': 'cbz',
+  'application/x-cbr': 'cbr',
+  'application/vnd.comicbook-rar': 'cbr',
+  'application/x-fictionbook+xml': 'fb2',
+};
+
+function requestOptions() {
+  return OPDS_USERNAME ? { auth: { username: OPDS_USERNAME, password: OPDS_PASSWORD || '' } } : {};
+}
+
+async function fetchXml(url) {
+  const response = await withDomain(url, () =>
+    axios.get(url, { timeout: 30000, responseType: 'text', ...requestOptions() }),
+  );
+  return load(response.data, { xmlMode: true });
+}
+
+let searchTemplate = null;
+
+/**
+ * Find the catalog's search URL template (with a {searchTerms} placeholder).
+ * The root feed links either straight to an Atom search template (Calibre-Web,
+ * Kavita) or to an OpenSearch description that contains one.
+ */
+async function getSearchTemplate() {
+  if (searchTemplate) return searchTemplate;
+
+  const $ = await fetchXml(OPDS_URL);
+  const link = $('feed > link[rel="search"]').first();
+  if (link.length === 0) {
+    throw attemptError('parse_error', `No search link in OPDS catalog at ${OPDS_URL}`);
+  }
+
+  const href = new URL(link.attr('href'), OPDS_URL).href;
+
+  if ((link.attr('type') || '').includes('opensearchdescription')) {
+    const $desc = await fetchXml(href);
+    const url = $desc('Url')
+      .filter((_, el) => ($desc(el).attr('type') || '').includes('atom'))
+      .first();
+    if (url.length === 0) {
+      throw attemptError('parse_error', `No Atom search URL in OpenSearch description at ${href}`);
+    }
+    searchTemplate = new URL(url.attr('template'), href).href;
+  } else {
+    searchTemplate = href;
+  }
+
+  log(`📗 [OPDS] Search template: ${searchTemplate}`);
+  return searchTemplate;
+}
+
+/**
+ * Run a catalog search and parse the entries with their acquisition links.
+ *
+ * @returns {{ entries: Array<{ title: string, author: string, language: string|null, links: Array<{ href: string, format: string }> }>|null, error?: Error }}
+ *   The entries (possibly empty), or null entries and the error if the catalog
+ *   could not be searched
+ */
+async function searchCatalog(query) {
+  try {
+    const template = await getSearchTemplate();
+    // URL templates may be pre-encoded ("%7BsearchTerms%7D"); optional params like {startPage?} are dropped
+    const url = template
+      .replace(/\{searchTerms\}|%7BsearchTerms%7D/gi, encodeURIComponent(query))
+      .replace(/\{[^}]*\?\}|%7B[^%]*%3F%7D/gi, '');
+    log(`🔗 [OPDS] URL: ${url}`);
+
+    const $ = await fetchXml(url);
+    const entries = $('entry')
+      .toArray()
+      .map((el) => {
+        const entry = $(el);
+        const links = entry
+          .find('link')
+          .toArray()
+          .map((l) => $(l))
+          .filter((l) => (l.attr('rel') || '').startsWith('http://opds-spec.org/acquisition'))
+          .map((l) => ({
+            href: new URL(l.attr('href'), url).href,
+            format: MIME_FORMATS[(l.attr('type') || '').split(';')[0].trim()] || null,
+          }))
+          .filter((l) => l.format);
+
+        return {
+          title: entry.children('title').first().text().trim(),
+          author: entry
+            .find('author > name')
+            .toArray()
+            .map((n) => $(n).text().trim())
+            .join(', '),
+          language: entry.find('dc\\:language, language').first().text().trim().toLowerCase() || null,
+          links,
+        };
+      });
+
+    log(`🔍 [OPDS] Found ${entries.length} entry(ies) for "${query}"`);
+    return { entries };
+  } catch (err) {
+    logError(`[OPDS] Search failed for "${query}"`, err);
+    if (err.response) log(`[OPDS] HTTP status: ${err.response.status}`);
+    return { entries: null, error: err };
+  }
+}
+
+/**
+ * OPDS catalog (Calibre-Web, Kavita, COPS, ...) at OPDS_URL, with optional
+ * basic auth. Candidate ids are acquisition URLs.
+ */
+export const opdsProvider = {
+  name: 'opds',
+
+  isConfigured() {
+    return Boolean(OPDS_URL);
+  },
+
+  /**
+   * For each preferred format: ISBN search first when an ISBN is known, then
+   * the title/author query. Each query hits the catalog once; entries are
+   * then filtered per format.
+   */
+  async *searches(book, { formats, languages }) {
+    const cleanIsbn = (book.isbn || '').replace(/[^0-9Xx]/g, '');
+    const strategies = [];
+    if (cleanIsbn.length === 10 || cleanIsbn.length === 13) {
+      strategies.push({ name: 'isbn', query: cleanIsbn, threshold: ISBN_MATCH_THRESHOLD });
+    }
+    if (book.query) {
+      strategies.push({ name: 'title', query: book.query, threshold: MATCH_THRESHOLD });
+    }
+
+    const entriesByQuery = new Map();
+
+    for (const format of formats) {
+      for (const strategy of strategies) {
+        log(`🔎 [OPDS] Strategy: ${strategy.name}, format: ${format} (query: "${strategy.query}")`);
+
+        if (!entriesByQuery.has(strategy.query)) {
+          entriesByQuery.set(strategy.query, await searchCatalog(strategy.query));
+        }
+        const { entries, error } = entriesByQuery.get(strategy.query);
+
+        const results =
+          entries &&
+          entries
+            .filter(
+              (e) => languages.length === 0 || !e.language || languages.some((lang) => e.language.startsWith(lang)),
+            )
+            .map((e) => ({ entry: e, link: e.links.find((l) => l.format === format) }))
+            .filter(({ link }) => link)
+            .slice(0, MAX_RESULTS_TO_CHECK)
+            .map(({ entry, link }) => ({ id: link.href, title: entry.title, author: entry.author, format }));
+
+        yield { strategy: strategy.name, format, threshold: strategy.threshold, source: OPDS_URL, results, error };
+      }
+    }
+  },
+
+  async fetch(candidate, job) {
+    log(`⬇️  [OPDS] Downloading from: ${candidate.id}`);
+    // Only send catalog credentials to the catalog's own host
+    const sameHost = new URL(candidate.id).origin === new URL(OPDS_URL).origin;
+    return streamDownload(candidate.id, job, sameHost ? requestOptions() : {});
+  },
+};
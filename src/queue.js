@@ -0,0 +1,49 @@
+import { MAX_ATTEMPTS, QUEUE_POLICY, QUEUE_POLICIES } from './config.js';
+import { stmts } from './db.js';
+
+// User id -> turn number when they were last served; persists across cycles so the
+// daily download budget doesn't always go to whoever comes first
+const lastServed = new Map();
+let turn = 0;
+
+export function getQueuePolicy() {
+  return QUEUE_POLICIES.includes(QUEUE_POLICY) ? QUEUE_POLICY : 'round-robin';
+}
+
+/**
+ * Pick the next book to process. Books in `skippedBookIds` (e.g. skipped for
+ * rate limits this cycle) are left out.
+ *
+ *   fifo         - The next due book overall, fewest attempts first
+ *   round-robin  - Users take turns, least recently served first; users in
+ *                  `skipUserIds` sit out. On a user's turn they get their most
+ *                  wanted due book: highest priority, then the shelf listed
+ *                  first in their shelves, then the one added to Goodreads first.
+ *
+ * @returns {{ job: object, reason: string }|null} The books row and why it was picked (for the log)
+ */
+export function pickNextBook(skippedBookIds, skipUserIds = new Set()) {
+  const excluded = JSON.stringify(skippedBookIds);
+
+  if (getQueuePolicy() === 'fifo') {
+    const job = stmts.getNextPending.get(MAX_ATTEMPTS, excluded);
+    return job ? { job, reason: `fifo (attempts ${job.attempts})` } : null;
+  }
+
+  const users = stmts.getUsers
+    .all()
+    .filter((u) => !skipUserIds.has(u.id))
+    .sort((a, b) => (lastServed.get(a.id) ?? -1) - (lastServed.get(b.id) ?? -1) || a.id - b.id);
+
+  for (const user of users) {
+    const job = stmts.getNextPendingForUser.get(user.id, MAX_ATTEMPTS, excluded);
+    if (!job) continue;
+
+    lastServed.set(user.id, ++turn);
+    return {
+      job,
+      reason: `round-robin (${user.name}'s turn, shelf: ${job.user_shelf}, priority ${job.user_priority || 0})`,
+    };
+  }
+  return null;
+}
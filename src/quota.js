@@ -0,0 +1,77 @@
+import { MAX_DOWNLOADS_PER_USER_PER_DAY } from './config.js';
+import { stmts } from './db.js';
+
+export const QUOTA_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// SQLite timestamps (CURRENT_TIMESTAMP) are UTC "YYYY-MM-DD HH:MM:SS"
+function toSqlTime(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Start of the current day, week (from Monday) and month in local time - the
+ * container's TZ - as UTC timestamps to compare delivered_at/downloaded_at with.
+ * A "day" is midnight to midnight in TZ, not in UTC.
+ */
+export function getQuotaWindows(now = new Date()) {
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const week = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7));
+  const month = new Date(now.getFullYear(), now.getMonth(), 1);
+  return { daily: toSqlTime(day), weekly: toSqlTime(week), monthly: toSqlTime(month) };
+}
+
+/**
+ * A user's quotas: users.daily_quota (NULL = MAX_DOWNLOADS_PER_USER_PER_DAY),
+ * weekly_quota and monthly_quota (NULL = no limit).
+ */
+export function getUserQuotas(user) {
+  return {
+    daily: user.daily_quota ?? MAX_DOWNLOADS_PER_USER_PER_DAY,
+    weekly: user.weekly_quota ?? null,
+    monthly: user.monthly_quota ?? null,
+  };
+}
+
+/**
+ * How much of each quota a user has used. Every delivery counts: books
+ * downloaded for them and copies of other users' downloads, but not files
+ * they already had (user_books.owned_copy).
+ *
+ * @returns {{ [period: string]: { limit: number|null, used: number, left: number|null } }}
+ */
+export function getQuotaStatus(userId, windows = getQuotaWindows()) {
+  const quotas = getUserQuotas(stmts.getUserById.get(userId));
+  const status = {};
+  for (const period of QUOTA_PERIODS) {
+    const used = stmts.countUserDeliveriesSince.get(userId, windows[period]).cnt;
+    const limit = quotas[period];
+    status[period] = { limit, used, left: limit === null ? null : Math.max(limit - used, 0) };
+  }
+  return status;
+}
+
+/**
+ * The first quota period a user has used up ('daily', 'weekly' or 'monthly'),
+ * with its status, or null if they can still receive books.
+ */
+export function findExhaustedQuota(userId) {
+  const status = getQuotaStatus(userId);
+  const period = QUOTA_PERIODS.find((p) => status[p].left === 0);
+  return period ? { period, ...status[period] } : null;
+}
+
+/**
+ * How many more books a user can receive before one of their quotas runs out
+ * (Infinity if none is set).
+ */
+export function quotaLeft(userId) {
+  const status = getQuotaStatus(userId);
+  return Math.min(...QUOTA_PERIODS.map((p) => status[p].left ?? Infinity));
+}
+
+/**
+ * Books downloaded today (in TZ), for MAX_DOWNLOADS_PER_DAY.
+ */
+export function countDownloadsToday() {
+  return stmts.countDownloadsSince.get(getQuotaWindows().daily).cnt;
+}
@@ -0,0 +1,73 @@
+import { copyFileSync, existsSync, linkSync, mkdirSync, readFileSync, unlinkSync } from 'fs';
+import { createHash } from 'crypto';
+import { dirname, join } from 'path';
+
+import { STORAGE_MODE, STORE_PATH } from './config.js';
+import { log } from './logging.js';
+import { fixOwnership } from './utils.js';
+
+// Errors from linkSync that mean "hardlinks aren't possible here", not "something is broken"
+const LINK_UNSUPPORTED = ['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK'];
+
+export function isHardlinkMode() {
+  return STORAGE_MODE === 'hardlink';
+}
+
+export function hashFile(filePath) {
+  return createHash('sha256').update(readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Put a file into the content-addressed store (STORE_PATH/ab/abcdef....epub)
+ * and return its store path. A file with the same content that is already
+ * stored is reused as-is.
+ */
+export function addToStore(filePath, extension) {
+  const hash = hashFile(filePath);
+  const storePath = join(STORE_PATH, hash.substring(0, 2), `${hash}${extension}`);
+
+  if (existsSync(storePath)) {
+    log(`🗃️  [Store] Already stored: ${storePath}`);
+    return storePath;
+  }
+
+  mkdirSync(dirname(storePath), { recursive: true });
+  fixOwnership(STORE_PATH);
+  fixOwnership(dirname(storePath));
+  copyFileSync(filePath, storePath);
+  fixOwnership(storePath);
+  log(`🗃️  [Store] Stored: ${storePath}`);
+  return storePath;
+}
+
+/**
+ * Place a book at destPath: a hardlink to sourcePath in hardlink mode (falling
+ * back to a copy when the filesystem can't link, e.g. across mounts), a plain
+ * copy otherwise. An existing file at destPath is replaced. Ownership is fixed
+ * on the result - for a hardlink that is the shared inode, i.e. the store entry
+ * too, which has the same owner anyway.
+ *
+ * @returns {'hardlink' | 'copy'}
+ */
+export function placeFile(sourcePath, destPath) {
+  let method = 'copy';
+
+  // Unlink first: writing through an old hardlink would change the store entry it shares an inode with
+  if (existsSync(destPath)) unlinkSync(destPath);
+
+  if (isHardlinkMode()) {
+    try {
+      linkSync(sourcePath, destPath);
+      method = 'hardlink';
+    } catch (err) {
+      if (!LINK_UNSUPPORTED.includes(err.code)) throw err;
+      log(`🗃️  [Store] Can't hardlink ${destPath} (${err.code}) - copying instead`);
+    }
+  }
+
+  if (method === 'copy') {
+    copyFileSync(sourcePath, destPath);
+  }
+  fixOwnership(destPath);
+  return method;
+}
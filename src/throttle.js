@@ -0,0 +1,48 @@
+import { DOMAIN_CONCURRENCY, DOMAIN_DELAY_MS } from './config.js';
+import { sleep } from './utils.js';
+
+// Host -> { active, lastStart, turn, released }
+const domains = new Map();
+
+function domainState(host) {
+  if (!domains.has(host)) {
+    domains.set(host, { active: 0, lastStart: 0, turn: Promise.resolve(), released: [] });
+  }
+  return domains.get(host);
+}
+
+/**
+ * Run a request to a site without hammering it while queue workers run in
+ * parallel: at most DOMAIN_CONCURRENCY requests to the same host at once, each
+ * starting at least DOMAIN_DELAY_MS after the previous one. Callers wait their
+ * turn in order.
+ *
+ * @param {string} urlOrHost - The URL being requested, or just its host
+ * @param {() => Promise<T>} fn - The request; the slot is held until it settles
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withDomain(urlOrHost, fn) {
+  const host = urlOrHost.includes('://') ? new URL(urlOrHost).host : urlOrHost;
+  const state = domainState(host);
+
+  // Waiters queue up on state.turn, so the slot goes to whoever asked first
+  const myTurn = state.turn.then(async () => {
+    while (state.active >= DOMAIN_CONCURRENCY) {
+      await new Promise((resolve) => state.released.push(resolve));
+    }
+    const wait = state.lastStart + DOMAIN_DELAY_MS - Date.now();
+    if (wait > 0) await sleep(wait);
+    state.active++;
+    state.lastStart = Date.now();
+  });
+  state.turn = myTurn;
+  await myTurn;
+
+  try {
+    return await fn();
+  } finally {
+    state.active--;
+    state.released.shift()?.();
+  }
+}
@@ -1,4 +1,5 @@
 import { chownSync } from 'fs';
+import { extname } from 'path';
 import { PUID, PGID } from './config.js';
 
 export function fixOwnership(filePath) {
@@ -9,12 +10,45 @@ export function fixOwnership(filePath) {
 
 export function sanitizeFilename(name) {
   return name
-    .replace(/[<>:"/\\|?*]/g, '')  // Remove illegal chars
-    .replace(/\s+/g, ' ')           // Collapse whitespace
+    .replace(/[<>:"/\\|?*]/g, '') // Remove illegal chars
+    .replace(/\s+/g, ' ') // Collapse whitespace
     .trim()
-    .substring(0, 200);             // Cap length
+    .substring(0, 200); // Cap length
+}
+
+// A book's file extension, treating Kobo's ".kepub.epub" as a single extension
+export function bookExtension(filePath) {
+  return /\.kepub\.epub$/i.test(filePath) ? filePath.slice(-'.kepub.epub'.length) : extname(filePath);
+}
+
+export function escapeXml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export function parseList(value, fallback = []) {
+  const items = (value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return items.length > 0 ? [...new Set(items)] : fallback;
+}
+
+export function parseShelves(value) {
+  return parseList(value, ['to-read']);
+}
+
+/**
+ * Split a Goodreads title like "The Player of Games (Culture, #2)" into the
+ * bare title and its series name/index. Titles without a "(Series, #N)"
+ * suffix come back with series and seriesIndex null.
+ */
+export function parseSeries(fullTitle) {
+  const title = fullTitle || '';
+  const match = title.match(/\s*\(([^()]+?),?\s+#(\d+(?:\.\d+)?)\)\s*$/);
+  if (!match) return { title: title.trim(), series: null, seriesIndex: null };
+  return { title: title.slice(0, match.index).trim(), series: match[1].trim(), seriesIndex: match[2] };
 }
 
 export function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
\ No newline at end of file
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}